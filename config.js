@@ -0,0 +1,337 @@
+// Central configuration
+// Every setting is declared once in SCHEMA and read through loadConfig():
+// - precedence: environment variable > CONFIG_FILE (JSON or YAML, keys = env names) > default
+// - an empty env var counts as unset
+// - types: string | json | int (min/max) | enum (case-insensitive) | list (comma-separated)
+// - secret: value is never shown by describeConfig(), only whether it is set
+// Every problem is collected and thrown together (ConfigError) so startup fails fast.
+// applyOverrides() changes values at runtime under the same rules (source "runtime").
+
+const fs = require("fs");
+const path = require("path");
+
+const ON_OFF = ["OFF", "ON"];
+
+const str = (def, extra) => ({ type: "string", default: def, ...extra });
+const secret = (extra) => ({ type: "string", default: "", secret: true, ...extra });
+const json = (extra) => ({ type: "json", default: "", ...extra });
+const int = (def, min, extra) => ({ type: "int", default: def, min, ...extra });
+const oneOf = (values, def) => ({ type: "enum", values, default: def });
+const list = () => ({ type: "list", default: [] });
+
+const SCHEMA = {
+  PORT: int(3000, 1, { max: 65535 }),
+  OPS_MODE: oneOf(["ECHO", "STORE", "FULL"], "FULL"),
+  EXTERNAL_SYNC: oneOf(ON_OFF, "OFF"),
+  JSON_LIMIT: str("2mb"),
+
+  LOG_LEVEL: oneOf(["DEBUG", "INFO", "WARN", "ERROR"], "INFO"),
+  LOG_REDACT: str(""),
+  LOG_FILE: str(""),
+  LOG_FILE_MAX_BYTES: int(10485760, 1024),
+  LOG_FILE_KEEP: int(5, 1),
+
+  STORE_LIMIT: int(200, 1),
+  STORE_BACKEND: oneOf(["MEMORY", "SQLITE"], "MEMORY"),
+  STORE_DB_FILE: str("events.db"),
+  STORE_RETENTION_MAX_AGE_MS: int(2592000000, 0),
+  STORE_RETENTION_MAX_ROWS: int(1000000, 0),
+  STORE_RETENTION_INTERVAL_MS: int(600000, 1000),
+
+  QUEUE_LIMIT: int(500, 1),
+  WORKER_INTERVAL_MS: int(1500, 100),
+  WORKER_BATCH_SIZE: int(5, 1),
+  WORKER_MAX_RETRY: int(5, 0),
+  WORKER_BACKOFF_BASE_MS: int(2000, 0),
+
+  SHEET_ID: str(""),
+  EVENTS_SHEET_NAME: str("events"),
+  SINKS: json({ secret: true }),
+  SHEETS_MAPPING: json(),
+  SHEETS_MAPPING_FILE: str(""),
+  WEBHOOK_INTERVAL_MS: int(1000, 100),
+  WEBHOOK_BATCH_SIZE: int(20, 1),
+  WEBHOOK_TIMEOUT_MS: int(5000, 100),
+  WEBHOOK_BACKOFF_BASE_MS: int(2000, 0),
+  WEBHOOK_BACKOFF_MAX_MS: int(300000, 0),
+  WEBHOOK_MAX_ATTEMPTS: int(20, 0),
+  GOOGLE_SERVICE_ACCOUNT_JSON_B64: secret(),
+  GOOGLE_SERVICE_ACCOUNT_JSON: secret(),
+
+  GAS_WEBAPP_URL: secret(),
+  ITPLAYLAB_SECRET: secret(),
+  GAS_TIMEOUT_MS: int(2500, 100),
+
+  INGEST_BATCH_MAX_ITEMS: int(500, 1),
+  INGEST_BATCH_GAS_CONCURRENCY: int(5, 1),
+
+  JSONL_FALLBACK: oneOf(ON_OFF, "OFF"),
+  JSONL_ALWAYS: oneOf(ON_OFF, "OFF"),
+  JSONL_DIR: str("/var/data"),
+  JSONL_FILE: str("ingest_fallback.jsonl"),
+  JSONL_MAX_BYTES: int(104857600, 1024),
+  JSONL_MAX_RECORD_BYTES: int(16777216, 1024),
+  JSONL_TAIL_MAX_BYTES: int(2097152, 1024),
+  JSONL_FSYNC: oneOf(["NONE", "WRITE", "INTERVAL"], "NONE"),
+  JSONL_FSYNC_INTERVAL_MS: int(1000, 10),
+
+  JSONL_COMPRESS: oneOf(ON_OFF, "OFF"),
+  JSONL_RETENTION_MAX_BYTES: int(0, 0),
+  JSONL_RETENTION_MAX_AGE_MS: int(0, 0),
+  JSONL_RETENTION_MAX_SEGMENTS: int(0, 0),
+  JSONL_RETENTION_INTERVAL_MS: int(60000, 1000),
+
+  JSONL_QUERY_MAX_SCAN_BYTES: int(67108864, 1024),
+  JSONL_QUERY_INDEX: oneOf(ON_OFF, "OFF"),
+  JSONL_INDEX_DIR: str((v) => path.join(v.JSONL_DIR, "jsonl_index")),
+
+  INGEST_ACK_MODE: oneOf(["SYNC", "ASYNC"], "SYNC"),
+  FORWARDER_INTERVAL_MS: int(500, 50),
+  FORWARDER_BATCH_SIZE: int(10, 1),
+  FORWARDER_STATE_FILE: str("forwarder_state.json"),
+
+  REPLAY_ENABLED: oneOf(ON_OFF, "OFF"),
+  REPLAY_INTERVAL_MS: int(3000, 100),
+  REPLAY_BATCH_SIZE: int(10, 1),
+  REPLAY_MAX_BYTES_PER_TICK: int(1048576, 1024),
+  REPLAY_MODE: oneOf(["FALLBACK_ONLY", "ALL"], "FALLBACK_ONLY"),
+  REPLAY_STATE_FILE: str("replay_state.json"),
+  REPLAY_MAX_ATTEMPTS: int(20, 0),
+  REPLAY_BACKOFF_BASE_MS: int(3000, 0),
+  REPLAY_BACKOFF_MAX_MS: int(600000, 0),
+
+  DEAD_LETTER_FILE: str("dead_letters.jsonl"),
+
+  AUTH_MODE: oneOf(ON_OFF, "OFF"),
+  API_KEYS: json({ secret: true }),
+  API_KEYS_FILE: str(""),
+
+  RATE_LIMIT: oneOf(ON_OFF, "OFF"),
+  RATE_LIMITS: json(),
+  RATE_LIMITS_FILE: str(""),
+  RATE_LIMIT_STATE_FILE: str("rate_limits_state.json"),
+  RATE_LIMIT_SAVE_INTERVAL_MS: int(5000, 100),
+  RATE_LIMIT_MAX_KEYS: int(10000, 100),
+  TRUST_PROXY: int(0, 0),
+
+  HMAC_MODE: oneOf(ON_OFF, "OFF"),
+  HMAC_SECRETS: json({ secret: true }),
+  HMAC_SECRETS_FILE: str(""),
+  HMAC_TOLERANCE_SEC: int(300, 1),
+
+  SCHEMA_DIR: str(() => path.join(__dirname, "schemas")),
+  SCHEMA_VALIDATION: oneOf(["OFF", "WARN", "REJECT"], "OFF"),
+  SCHEMA_UNKNOWN: oneOf(["ALLOW", "REJECT"], "ALLOW"),
+
+  IDEMPOTENCY: oneOf(ON_OFF, "OFF"),
+  IDEMPOTENCY_TTL_MS: int(86400000, 1000),
+  IDEMPOTENCY_BODY_FIELD: str(""),
+  IDEMPOTENCY_FILE: str("idempotency_keys.jsonl"),
+  IDEMPOTENCY_COMPACT_EVERY: int(1000, 1),
+
+  DEDUPE_WINDOW_MS: int(2000, 0),
+  DEDUPE_KEY: oneOf(["CANONICAL", "FIELDS", "RAW"], "CANONICAL"),
+  DEDUPE_FIELDS: list(),
+  DEDUPE_IGNORE_FIELDS: list(),
+  DEDUPE_POLICY: oneOf(["FLAG", "DROP", "PASS"], "FLAG"),
+  DEDUPE_INGEST: oneOf(ON_OFF, "OFF"),
+  DEDUPE_PERSIST: oneOf(ON_OFF, "OFF"),
+  DEDUPE_FILE: str("dedupe_keys.jsonl"),
+  DEDUPE_MAX_KEYS: int(100000, 1),
+  DEDUPE_COMPACT_EVERY: int(10000, 1),
+
+  JOB_TIMELINE: oneOf(ON_OFF, "OFF"),
+  JOB_TIMELINE_FILE: str("job_timeline.jsonl"),
+  JOB_TIMELINE_TTL_MS: int(604800000, 1000),
+  JOB_TIMELINE_MAX_JOBS: int(100000, 1),
+  JOB_TIMELINE_COMPACT_EVERY: int(5000, 1),
+
+  TG_WEBHOOK_SECRET: secret(),
+  SHEETS_INGEST_URL: str(""),
+  TG_DEDUPE_WINDOW_MS: int(86400000, 0),
+  TG_DEDUPE_LIMIT: int(10000, 1),
+  TG_DEDUPE_FILE: str("tg_updates.jsonl"),
+
+  QUEUE_DURABLE: oneOf(ON_OFF, "OFF"),
+  QUEUE_FILE: str("events_queue.jsonl"),
+  QUEUE_MAX_DISK_ITEMS: int(100000, 1),
+  QUEUE_COMPACT_EVERY: int(500, 1),
+  QUEUE_SPILL_FILE: str("events_queue_spill.jsonl"),
+
+  SHUTDOWN_TIMEOUT_MS: int(25000, 1000),
+  SHUTDOWN_FLUSH_MS: int(5000, 0),
+
+  CONTROL_STATE_FILE: str("runtime_control.json"),
+  AUDIT_FILE: str("audit_log.jsonl"),
+};
+
+// cross-field rules: [message, (values) => ok]
+const CHECKS = [
+  [
+    "DEDUPE_KEY=FIELDS needs DEDUPE_FIELDS",
+    (v) => v.DEDUPE_KEY !== "FIELDS" || v.DEDUPE_FIELDS.length > 0,
+  ],
+  [
+    "REPLAY_BACKOFF_BASE_MS must not exceed REPLAY_BACKOFF_MAX_MS",
+    (v) => v.REPLAY_BACKOFF_BASE_MS <= v.REPLAY_BACKOFF_MAX_MS,
+  ],
+  [
+    "WEBHOOK_BACKOFF_BASE_MS must not exceed WEBHOOK_BACKOFF_MAX_MS",
+    (v) => v.WEBHOOK_BACKOFF_BASE_MS <= v.WEBHOOK_BACKOFF_MAX_MS,
+  ],
+  [
+    "SHUTDOWN_FLUSH_MS must not exceed SHUTDOWN_TIMEOUT_MS",
+    (v) => v.SHUTDOWN_FLUSH_MS <= v.SHUTDOWN_TIMEOUT_MS,
+  ],
+];
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`invalid configuration:\n- ${errors.join("\n- ")}`);
+    this.name = "ConfigError";
+    this.errors = errors;
+  }
+}
+
+function readConfigFile(file) {
+  const raw = fs.readFileSync(file, "utf8");
+  const ext = path.extname(file).toLowerCase();
+  // yaml is only needed when a YAML file is actually used
+  const data = ext === ".yaml" || ext === ".yml" ? require("yaml").parse(raw) : JSON.parse(raw);
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("top level must be an object of setting names");
+  }
+  return data;
+}
+
+// -> [value, error]
+function coerce(name, spec, raw) {
+  switch (spec.type) {
+    case "int": {
+      const n = typeof raw === "number" ? raw : Number(String(raw).trim());
+      if (!Number.isInteger(n)) return [null, `${name}=${JSON.stringify(raw)} is not an integer`];
+      if (spec.min !== undefined && n < spec.min) {
+        return [null, `${name}=${n} is below ${spec.min}`];
+      }
+      if (spec.max !== undefined && n > spec.max) {
+        return [null, `${name}=${n} is above ${spec.max}`];
+      }
+      return [n, null];
+    }
+    case "enum": {
+      const v = String(raw).trim().toUpperCase();
+      if (!spec.values.includes(v)) {
+        return [null, `${name}=${JSON.stringify(raw)} must be one of ${spec.values.join(" | ")}`];
+      }
+      return [v, null];
+    }
+    case "list": {
+      const items = Array.isArray(raw) ? raw : String(raw).split(",");
+      return [items.map((f) => String(f).trim()).filter(Boolean), null];
+    }
+    case "json":
+      // the feature's own loader parses it and reports errors; a file may give the object itself
+      return [typeof raw === "string" ? raw : JSON.stringify(raw), null];
+    default:
+      if (raw !== null && typeof raw === "object") return [null, `${name} must be a string`];
+      return [String(raw), null];
+  }
+}
+
+/**
+ * -> { values, sources, file }
+ * values: setting name -> parsed value; sources: setting name -> "env" | "file" | "default"
+ * Throws ConfigError listing every invalid setting.
+ */
+function loadConfig({ env = process.env, file = env.CONFIG_FILE || "" } = {}) {
+  const errors = [];
+  let fromFile = {};
+  if (file) {
+    try {
+      fromFile = readConfigFile(file);
+    } catch (e) {
+      errors.push(`CONFIG_FILE ${file}: ${e?.message || e}`);
+    }
+    for (const k of Object.keys(fromFile)) {
+      if (!SCHEMA[k]) errors.push(`CONFIG_FILE ${file}: unknown setting ${k}`);
+    }
+  }
+
+  const values = {};
+  const sources = {};
+  for (const [name, spec] of Object.entries(SCHEMA)) {
+    let raw;
+    if (env[name] !== undefined && env[name] !== "") {
+      raw = env[name];
+      sources[name] = "env";
+    } else if (fromFile[name] !== undefined && fromFile[name] !== null) {
+      raw = fromFile[name];
+      sources[name] = "file";
+    } else {
+      // defaults may derive from settings declared earlier
+      values[name] = typeof spec.default === "function" ? spec.default(values) : spec.default;
+      sources[name] = "default";
+      continue;
+    }
+
+    const [v, err] = coerce(name, spec, raw);
+    if (err) errors.push(err);
+    values[name] = v;
+  }
+
+  if (errors.length === 0) {
+    for (const [msg, ok] of CHECKS) if (!ok(values)) errors.push(msg);
+  }
+  if (errors.length > 0) throw new ConfigError(errors);
+
+  return { values, sources, file: file || null };
+}
+
+/**
+ * Runtime change (PATCH /control): same coercion and cross-field rules as startup.
+ * Applies all of `overrides` or nothing; returns { NAME: { from, to } } for what changed.
+ */
+function applyOverrides(config, overrides, source = "runtime") {
+  const errors = [];
+  const next = { ...config.values };
+  for (const [name, raw] of Object.entries(overrides)) {
+    const spec = SCHEMA[name];
+    if (!spec) {
+      errors.push(`unknown setting ${name}`);
+      continue;
+    }
+    const [v, err] = coerce(name, spec, raw);
+    if (err) errors.push(err);
+    else next[name] = v;
+  }
+  if (errors.length === 0) {
+    for (const [msg, ok] of CHECKS) if (!ok(next)) errors.push(msg);
+  }
+  if (errors.length > 0) throw new ConfigError(errors);
+
+  const changes = {};
+  for (const name of Object.keys(overrides)) {
+    if (next[name] === config.values[name]) continue;
+    changes[name] = { from: config.values[name], to: next[name] };
+    config.values[name] = next[name];
+    config.sources[name] = source;
+  }
+  return changes;
+}
+
+// effective values for GET /config; secrets only say whether they are set
+function describeConfig(config) {
+  const settings = {};
+  for (const [name, spec] of Object.entries(SCHEMA)) {
+    const v = config.values[name];
+    settings[name] = {
+      value: spec.secret ? (v ? "[REDACTED]" : "") : v,
+      source: config.sources[name],
+      default: spec.secret || typeof spec.default === "function" ? undefined : spec.default,
+      allowed: spec.values,
+    };
+  }
+  return { file: config.file, settings };
+}
+
+module.exports = { loadConfig, applyOverrides, describeConfig, ConfigError, SCHEMA };
@@ -0,0 +1,136 @@
+// Structured JSON logger
+// One record per line: { ts, level, ...context, event, ...fields }
+// - DEBUG/INFO -> stdout, WARN/ERROR -> stderr (same streams console.log/warn/error used)
+// - child(context) adds fields to every record (trace_id, route, key_id, line, ...)
+// - redact: key names (any depth, case-insensitive) or dotted paths ("payload.phone")
+// - file: optional copy of every record, rotated at fileMaxBytes (file.1 .. file.<fileKeep>)
+
+const fs = require("fs");
+const path = require("path");
+
+const LEVELS = { DEBUG: 10, INFO: 20, WARN: 30, ERROR: 40 };
+const REDACTED = "[REDACTED]";
+const MAX_DEPTH = 8;
+
+function createFileSink(file, maxBytes, keep) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  let size = 0;
+  try {
+    size = fs.statSync(file).size;
+  } catch {
+    // new file
+  }
+
+  let failed = false;
+  const open = () => {
+    const s = fs.createWriteStream(file, { flags: "a" });
+    s.on("error", (e) => {
+      // never log through ourselves here; report once and keep going on stdout only
+      if (!failed) process.stderr.write(`[logger] file sink error: ${e?.message || e}\n`);
+      failed = true;
+    });
+    return s;
+  };
+  let stream = open();
+
+  // the ended stream still flushes into its fd, which now belongs to <file>.1
+  function rotate() {
+    stream.end();
+    for (let i = keep - 1; i >= 1; i--) {
+      try {
+        fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+      } catch {
+        // gap in the chain
+      }
+    }
+    try {
+      fs.renameSync(file, `${file}.1`);
+    } catch {
+      // already gone
+    }
+    stream = open();
+    size = 0;
+  }
+
+  return {
+    write(line) {
+      const n = Buffer.byteLength(line, "utf8");
+      if (size > 0 && size + n > maxBytes) rotate();
+      stream.write(line);
+      size += n;
+    },
+    // resolves once buffered lines are flushed (or the stream failed)
+    close() {
+      return new Promise((resolve) => stream.end(() => resolve()));
+    },
+  };
+}
+
+function createLogger({
+  level = "INFO",
+  redact = [],
+  file = "",
+  fileMaxBytes = 10485760,
+  fileKeep = 5,
+} = {}) {
+  const threshold = LEVELS[String(level).toUpperCase()] ?? LEVELS.INFO;
+  const entries = redact.map((r) => String(r).trim().toLowerCase()).filter(Boolean);
+  const redactKeys = new Set(entries.filter((r) => !r.includes(".")));
+  const redactPaths = new Set(entries.filter((r) => r.includes(".")));
+  const sink = file ? createFileSink(file, fileMaxBytes, Math.max(1, fileKeep)) : null;
+
+  function scrub(value, keyPath, depth) {
+    if (value instanceof Error) return value.message;
+    if (value === null || typeof value !== "object") return value;
+    if (depth > MAX_DEPTH) return "[depth]";
+    if (Array.isArray(value)) return value.map((v) => scrub(v, keyPath, depth + 1));
+
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      const p = keyPath ? `${keyPath}.${k.toLowerCase()}` : k.toLowerCase();
+      out[k] =
+        redactKeys.has(k.toLowerCase()) || redactPaths.has(p) ? REDACTED : scrub(v, p, depth + 1);
+    }
+    return out;
+  }
+
+  function emit(lvl, event, context, fields) {
+    if (LEVELS[lvl] < threshold) return;
+
+    const rec = scrub(
+      { ts: new Date().toISOString(), level: lvl, ...context, event, ...fields },
+      "",
+      0
+    );
+    let line;
+    try {
+      line = JSON.stringify(rec);
+    } catch {
+      line = JSON.stringify({ ts: rec.ts, level: lvl, event, error: "log_serialize_failed" });
+    }
+
+    if (lvl === "ERROR") console.error(line);
+    else if (lvl === "WARN") console.warn(line);
+    else console.log(line);
+
+    if (sink) sink.write(line + "\n");
+  }
+
+  function make(context) {
+    return {
+      debug: (event, fields) => emit("DEBUG", event, context, fields),
+      info: (event, fields) => emit("INFO", event, context, fields),
+      warn: (event, fields) => emit("WARN", event, context, fields),
+      error: (event, fields) => emit("ERROR", event, context, fields),
+      child: (extra) => make({ ...context, ...extra }),
+      isLevelEnabled: (lvl) => LEVELS[String(lvl).toUpperCase()] >= threshold,
+    };
+  }
+
+  const root = make({});
+  root.close = () => (sink ? sink.close() : Promise.resolve());
+  return root;
+}
+
+module.exports = { createLogger, LEVELS };
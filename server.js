@@ -2,6 +2,10 @@
 // External sync is OFF by default. Queue + worker does best-effort syncing.
 // /events NEVER fails because of external systems.
 //
+// Config (config.js: typed schema, ranges and enums; any invalid value stops startup):
+// - CONFIG_FILE=/etc/secrets/config.yaml (optional JSON or YAML; keys are the env names below,
+//   env vars win over the file; GET /config shows effective values and their source)
+//
 // Modes:
 // - OPS_MODE=ECHO  : Stage B (echo-only)
 // - OPS_MODE=STORE : Stage C (store-only)
@@ -11,14 +15,40 @@
 // - EXTERNAL_SYNC=ON to enable worker (ONLY if OPS_MODE=FULL)
 // - default OFF (safe)
 //
+// Logging (logger.js; one JSON record per line):
+// - LOG_LEVEL=INFO | DEBUG | WARN | ERROR
+// - LOG_REDACT=                 (extra keys or dotted paths, e.g. "payload.phone,email")
+// - LOG_FILE=                   (optional copy on disk, e.g. /var/data/logs/server.log)
+// - LOG_FILE_MAX_BYTES=10485760 (rotate at 10MB)
+// - LOG_FILE_KEEP=5
+//
+// Sinks (delivery destinations; see the Sinks section for the config shape):
+// - SINKS=  (JSON array; default gas -> ingest pipeline, sheets_api -> /events queue)
+//
+// Webhook sinks (type "webhook"; each tails the JSONL log with its own cursor file):
+// - WEBHOOK_INTERVAL_MS=1000
+// - WEBHOOK_BATCH_SIZE=20
+// - WEBHOOK_TIMEOUT_MS=5000
+// - WEBHOOK_BACKOFF_BASE_MS=2000   (per destination, doubles per failed attempt)
+// - WEBHOOK_BACKOFF_MAX_MS=300000
+// - WEBHOOK_MAX_ATTEMPTS=20        (then dead-lettered with origin "sink"; 0 = retry forever)
+//   Every event is only in the log with JSONL_ALWAYS=ON or INGEST_ACK_MODE=ASYNC.
+//
 // Env (Google):
 // - SHEET_ID (required for sync)
 // - EVENTS_SHEET_NAME (default: events)
+// - SHEETS_MAPPING=  (JSON; columns, JSONPath-style fields, tabs by event_type, header row;
+//   see the Sheets column mapping section; a sink's own `mapping` wins)
+// - SHEETS_MAPPING_FILE=/etc/secrets/sheets_mapping.json (used when SHEETS_MAPPING is empty)
 // - GOOGLE_SERVICE_ACCOUNT_JSON_B64 (preferred) OR GOOGLE_SERVICE_ACCOUNT_JSON (plain)
 // Optional tuning:
 // - JSON_LIMIT=2mb
-// - STORE_LIMIT=200
-// - DEDUPE_WINDOW_MS=2000
+// - STORE_LIMIT=200 (MEMORY backend)
+// - STORE_BACKEND=MEMORY | SQLITE  (SQLITE needs the optional better-sqlite3 dependency)
+// - STORE_DB_FILE=events.db             (SQLITE; under JSONL_DIR)
+// - STORE_RETENTION_MAX_AGE_MS=2592000000 (30d; 0 = keep)
+// - STORE_RETENTION_MAX_ROWS=1000000    (0 = no cap)
+// - STORE_RETENTION_INTERVAL_MS=600000
 // - QUEUE_LIMIT=500
 // - WORKER_INTERVAL_MS=1500
 // - WORKER_BATCH_SIZE=5
@@ -29,12 +59,42 @@
 // - GAS_WEBAPP_URL (required for /ingest -> Sheets append)
 // - ITPLAYLAB_SECRET (shared secret; must match GAS Script Properties)
 //
+// Batch ingest (POST /ingest/batch, JSON array or NDJSON):
+// - INGEST_BATCH_MAX_ITEMS=500
+// - INGEST_BATCH_GAS_CONCURRENCY=5 (GAS posts in flight per chunk)
+//
+// Async ack (/ingest and /ingest/batch respond after the JSONL write; forwarder delivers to GAS):
+// - INGEST_ACK_MODE=SYNC | ASYNC (ASYNC needs JSONL_FALLBACK or JSONL_ALWAYS = ON)
+// - FORWARDER_INTERVAL_MS=500
+// - FORWARDER_BATCH_SIZE=10
+// - FORWARDER_STATE_FILE=forwarder_state.json
+//   GAS failures become jsonl.fallback records (picked up by replay) even if JSONL_FALLBACK=OFF.
+//
 // Line 3-B (JSONL fallback):
 // - JSONL_FALLBACK=ON   (save to JSONL only when Sheets fails)
 // - JSONL_ALWAYS=ON     (always save to JSONL; audit / durable copy)
 // - JSONL_DIR=/var/data (recommended Render Disk mount path)
 // - JSONL_FILE=ingest_fallback.jsonl
 // - JSONL_MAX_BYTES=104857600 (rotate at 100MB)
+// - JSONL_MAX_RECORD_BYTES=16777216 (readers grow past REPLAY_MAX_BYTES_PER_TICK for one long
+//   record up to this; a longer line is skipped, logged and counted in line3b.skipped_records)
+//   Rotated files (<JSONL_FILE>.<ts>.bak) are drained by replay/forwarder before the live file.
+// - JSONL_FSYNC=NONE | WRITE | INTERVAL (fsync appends: never, before each ack, or on a timer)
+// - JSONL_FSYNC_INTERVAL_MS=1000
+//   State files (replay/forwarder/sink cursors, rate limits) are written temp + fsync + rename
+//   with a checksum; a corrupt one falls back to <file>.prev, else its worker halts.
+//
+// Line 3-B retention (rotated segments; never touches ones replay/forwarder still need):
+// - JSONL_COMPRESS=OFF | ON           (gzip drained segments to .bak.gz)
+// - JSONL_RETENTION_MAX_BYTES=0       (total incl. live file; 0 = unlimited)
+// - JSONL_RETENTION_MAX_AGE_MS=0      (by segment mtime; 0 = unlimited)
+// - JSONL_RETENTION_MAX_SEGMENTS=0    (rotated segments kept; 0 = unlimited)
+// - JSONL_RETENTION_INTERVAL_MS=60000
+//
+// Line 3-B query (GET /fallback/query):
+// - JSONL_QUERY_MAX_SCAN_BYTES=67108864 (per request; the response carries a cursor to go on)
+// - JSONL_QUERY_INDEX=OFF | ON           (per-segment value/time index for rotated segments)
+// - JSONL_INDEX_DIR=<JSONL_DIR>/jsonl_index
 // - JSONL_TAIL_MAX_BYTES=2097152 (tail read cap 2MB)
 //
 // Line 3-C-lite (Replay worker: JSONL -> GAS):
@@ -44,142 +104,326 @@
 // - REPLAY_MAX_BYTES_PER_TICK=1048576
 // - REPLAY_MODE=FALLBACK_ONLY | ALL
 // - REPLAY_STATE_FILE=replay_state.json
+// - REPLAY_MAX_ATTEMPTS=20          (then the record is dead-lettered and replay moves on)
+// - REPLAY_BACKOFF_BASE_MS=3000     (per-record backoff, doubles per attempt)
+// - REPLAY_BACKOFF_MAX_MS=600000
+//
+// Dead letters (sync worker + replay worker):
+// - DEAD_LETTER_FILE=dead_letters.jsonl
+//
+// Auth (API keys with scopes; /, /health and /tg/webhook stay open):
+// - AUTH_MODE=OFF | ON
+// - API_KEYS='[{"id":"shop","key":"...","scopes":["ingest:write"],"sources":["shop"]}]'
+// - API_KEYS_FILE=/etc/secrets/api_keys.json (used when API_KEYS is empty)
+//   scopes: ingest:write, events:write, ops:read, ops:admin, *
+//
+// HMAC signing (/ingest, /ingest/batch, /events; X-Signature over `${timestamp}.${rawBody}`):
+// - HMAC_MODE=OFF | ON
+// - HMAC_SECRETS='{"partner":["current","previous"]}' (max 2 active per source)
+// - HMAC_SECRETS_FILE=/etc/secrets/hmac.json (used when HMAC_SECRETS is empty)
+// - HMAC_TOLERANCE_SEC=300 (timestamp skew + replay window)
+//   A valid signature counts as ingest:write/events:write for that source when AUTH_MODE=ON.
+//
+// Rate limits (/ingest, /ingest/batch, /events; over the limit -> 429 + Retry-After):
+// - RATE_LIMIT=OFF | ON
+// - RATE_LIMITS='{"source":{"*":{"rate":20,"burst":40,"daily":100000}}}'
+//   (dimensions: source, key, ip; see the Rate limits section)
+// - RATE_LIMITS_FILE=/etc/secrets/rate_limits.json (used when RATE_LIMITS is empty)
+// - RATE_LIMIT_STATE_FILE=rate_limits_state.json
+// - RATE_LIMIT_SAVE_INTERVAL_MS=5000
+// - RATE_LIMIT_MAX_KEYS=10000 (tracked buckets and quota entries each; least recent evicted)
+// - TRUST_PROXY=0 (proxy hops in front of the app, so the ip limit sees the client; Render: 1)
+//
+// Schema registry (/ingest payload validation):
+// - SCHEMA_DIR=./schemas        (one JSON file per event_type + version)
+// - SCHEMA_VALIDATION=OFF | WARN | REJECT
+//     WARN   : accept, tag the event with schema_status/schema_errors
+//     REJECT : 422 with error paths
+// - SCHEMA_UNKNOWN=ALLOW | REJECT (event_type without a registered schema)
+//
+// Idempotency (/ingest retries reuse the original job_id):
+// - IDEMPOTENCY=ON
+// - IDEMPOTENCY_TTL_MS=86400000       (24h)
+// - IDEMPOTENCY_BODY_FIELD=           (optional body field used when no Idempotency-Key header)
+// - IDEMPOTENCY_FILE=idempotency_keys.jsonl
+// - IDEMPOTENCY_COMPACT_EVERY=1000
+//
+// Dedupe (/events; /ingest and /ingest/batch with DEDUPE_INGEST=ON):
+// - DEDUPE_WINDOW_MS=2000
+// - DEDUPE_KEY=CANONICAL | FIELDS | RAW
+// - DEDUPE_FIELDS=event_id,payload.order_id   (FIELDS; dotted paths into the request body)
+// - DEDUPE_IGNORE_FIELDS=sent_at              (CANONICAL; left out of the fingerprint)
+// - DEDUPE_POLICY=FLAG | DROP | PASS
+//   FLAG: /events stores it marked duplicate but skips the sync queue; /ingest delivers it
+//         with duplicate_of. DROP: acknowledged, nothing stored or delivered. PASS: as new.
+// - DEDUPE_INGEST=OFF | ON
+// - DEDUPE_PERSIST=OFF | ON                   (keys survive restarts; for long windows)
+// - DEDUPE_FILE=dedupe_keys.jsonl
+// - DEDUPE_MAX_KEYS=100000
+// - DEDUPE_COMPACT_EVERY=10000
+//
+// Job timeline (GET /jobs/:job_id, GET /traces/:trace_id):
+// - JOB_TIMELINE=OFF | ON
+// - JOB_TIMELINE_FILE=job_timeline.jsonl
+// - JOB_TIMELINE_TTL_MS=604800000     (7d)
+// - JOB_TIMELINE_MAX_JOBS=100000
+// - JOB_TIMELINE_COMPACT_EVERY=5000
+//
+// Telegram webhook (/tg/webhook -> same pipeline as /ingest):
+// - TG_WEBHOOK_SECRET (must match secret_token given to setWebhook; unset = open, warned at boot)
+// - SHEETS_INGEST_URL (legacy: also post the S0 summary row per update to this GAS URL)
+// - TG_DEDUPE_WINDOW_MS=86400000 (update_id dedupe window, 24h)
+// - TG_DEDUPE_LIMIT=10000
+// - TG_DEDUPE_FILE=tg_updates.jsonl (seen update_ids, written with DEDUPE_PERSIST=ON; without it
+//   they are memory-only and a restart re-processes Telegram's redeliveries)
+// Updates are acked only once they are durable (sinks ok, jsonl.accepted or jsonl.fallback);
+// otherwise 503 and Telegram retries. INGEST_ACK_MODE=ASYNC keeps the ack off the sink round-trip.
+//
+// Stage D durable queue (/events -> journal on JSONL_DIR):
+// - QUEUE_DURABLE=ON        (only if OPS_MODE=FULL; pending items survive restarts)
+//   Journaled only while the worker is enabled (EXTERNAL_SYNC=ON); otherwise /events items
+//   stay in memory (QUEUE_LIMIT, drop-oldest) and are saved to QUEUE_SPILL_FILE on shutdown.
+// - QUEUE_FILE=events_queue.jsonl
+// - QUEUE_MAX_DISK_ITEMS=100000 (journal cap; new items are dropped and counted beyond it)
+// - QUEUE_COMPACT_EVERY=500 (rewrite journal after N ack/update ops)
+// - QUEUE_SPILL_FILE=events_queue_spill.jsonl (in-memory queue saved on shutdown, restored on boot)
+//
+// Graceful shutdown (SIGTERM/SIGINT; GET /ready is 503 while starting or draining):
+// - SHUTDOWN_TIMEOUT_MS=25000 (whole drain budget; keep it under the platform kill grace)
+// - SHUTDOWN_FLUSH_MS=5000    (last bounded worker flush of the /events queue)
+//
+// Runtime control (/control: pause/resume workers, retune WORKER_*/REPLAY_*, seek replay):
+// - CONTROL_STATE_FILE=runtime_control.json (live overrides + pause flags, reapplied on boot)
+// - AUDIT_FILE=audit_log.jsonl              (one record per control change)
 
 const express = require("express");
 const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
+const { createLogger } = require("./logger");
+const { loadConfig, applyOverrides, describeConfig } = require("./config");
+const readline = require("readline");
+const zlib = require("zlib");
+const { pipeline } = require("stream/promises");
 
-async function appendS0ToSheets({ traceId, receivedAtIso, source, eventType, latencyMs }) {
-  const base = process.env.SHEETS_INGEST_URL;
-  const secret = process.env.ITPLAYLAB_SECRET;
-  if (!base) return;
-
-  // 🔑 __secret URL 파라미터로 추가 (GAS 인증)
-  const u = new URL(base);
-  if (secret) u.searchParams.set("__secret", secret);
-  const url = u.toString();
-
-  const controller = new AbortController();
-  // ⏱ GAS는 느릴 수 있으니 8초
-  const timeout = setTimeout(() => controller.abort(), 8000);
-
-  try {
-    const resp = await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        received_at: receivedAtIso,
-        job_id: "tg_ingest",
-        trace_id: traceId,
-        source,
-        event_type: eventType,
-        ingest_latency_ms: latencyMs,
-        payload_json: {},
-        gas_ok: true
-      }),
-      signal: controller.signal
-    });
-
-    console.log("[S0->SHEETS] resp", { status: resp.status, traceId });
-  } catch (e) {
-    console.warn("[S0->SHEETS] write_error", String(e));
-  } finally {
-    clearTimeout(timeout);
-  }
-}
 const app = express();
-// middleware
-app.use(express.json());
-
-// ✅ 여기부터 app 생성 이후
-app.post("/tg/webhook", (req, res) => {
-  const t0 = Date.now();
-
-  const traceId = (crypto.randomUUID
-    ? crypto.randomUUID()
-    : crypto.randomBytes(16).toString("hex"));
-
-  const receivedAtIso = new Date().toISOString();
-
-  // 1️⃣ Telegram에 즉시 응답 (입구 안정화)
-  res.sendStatus(200);
-
-  // 2️⃣ S0 사실 로그 append (비동기, 응답과 분리)
-  void appendS0ToSheets({
-    traceId,
-    receivedAtIso,
-    source: "telegram",
-    eventType: "ingest.received",
-    latencyMs: Date.now() - t0
-  });
-
-  console.log("[TG WEBHOOK] received", { traceId });
-
-  // 3️⃣ 응답 종료 명시 (중복 응답 방지)
-  return;
-});
-
-
-
-// 기존 라우트
-app.get("/health", (req, res) => {
-  res.send("ok");
-});
 
 app.disable("x-powered-by");
+app.use(requestContextMiddleware);
+app.use(httpMetricsMiddleware);
+app.use(shutdownGateMiddleware);
 
 
 // -----------------------
 // Config
 // -----------------------
-const OPS_MODE = process.env.OPS_MODE || "FULL"; // ECHO | STORE | FULL
-const EXTERNAL_SYNC = (process.env.EXTERNAL_SYNC || "OFF").toUpperCase(); // OFF | ON
+// parsed and validated once in config.js (env > CONFIG_FILE > defaults); bad values stop here
+let config;
+try {
+  config = loadConfig();
+} catch (e) {
+  // the logger is built from this config, so the record is written by hand
+  console.error(
+    JSON.stringify({
+      ts: new Date().toISOString(),
+      level: "ERROR",
+      event: "config.invalid",
+      errors: e.errors || [String(e?.message || e)],
+    })
+  );
+  process.exit(1);
+}
+const settings = config.values;
+
+const OPS_MODE = settings.OPS_MODE; // ECHO | STORE | FULL
 const MODE_TAG = `v7.8-OPS:${OPS_MODE}`;
-const JSON_LIMIT = process.env.JSON_LIMIT || "2mb";
+const JSON_LIMIT = settings.JSON_LIMIT;
+
+// Logging
+const LOG_LEVEL = settings.LOG_LEVEL; // DEBUG | INFO | WARN | ERROR
+const LOG_REDACT = settings.LOG_REDACT;
+const LOG_FILE = settings.LOG_FILE;
+const LOG_FILE_MAX_BYTES = settings.LOG_FILE_MAX_BYTES; // 10MB
+const LOG_FILE_KEEP = settings.LOG_FILE_KEEP;
+// secrets are always masked; LOG_REDACT adds payload fields etc.
+const LOG_REDACT_DEFAULTS = [
+  "authorization",
+  "x-api-key",
+  "api_key",
+  "secret",
+  "__secret",
+  "token",
+  "password",
+  "signature",
+  "x-signature",
+];
+
+const logger = createLogger({
+  level: LOG_LEVEL,
+  redact: [...LOG_REDACT_DEFAULTS, ...LOG_REDACT.split(",")],
+  file: LOG_FILE,
+  fileMaxBytes: LOG_FILE_MAX_BYTES,
+  fileKeep: LOG_FILE_KEEP,
+});
 
 // Store-only settings
-const STORE_LIMIT = Number(process.env.STORE_LIMIT || 200);
-const DEDUPE_WINDOW_MS = Number(process.env.DEDUPE_WINDOW_MS || 2000);
+const STORE_LIMIT = settings.STORE_LIMIT;
+const STORE_BACKEND = settings.STORE_BACKEND; // MEMORY | SQLITE
+const STORE_DB_FILE = settings.STORE_DB_FILE;
+const STORE_RETENTION_MAX_AGE_MS = settings.STORE_RETENTION_MAX_AGE_MS;
+const STORE_RETENTION_MAX_ROWS = settings.STORE_RETENTION_MAX_ROWS;
+const STORE_RETENTION_INTERVAL_MS = settings.STORE_RETENTION_INTERVAL_MS;
 
 // Queue/Worker settings
-const QUEUE_LIMIT = Number(process.env.QUEUE_LIMIT || 500);
-const WORKER_INTERVAL_MS = Number(process.env.WORKER_INTERVAL_MS || 1500);
-const WORKER_BATCH_SIZE = Number(process.env.WORKER_BATCH_SIZE || 5);
-const WORKER_MAX_RETRY = Number(process.env.WORKER_MAX_RETRY || 5);
-const WORKER_BACKOFF_BASE_MS = Number(process.env.WORKER_BACKOFF_BASE_MS || 2000);
+// EXTERNAL_SYNC and WORKER_* are read live from `settings` (PATCH /control changes them)
+const QUEUE_LIMIT = settings.QUEUE_LIMIT;
 
 // Google settings (used ONLY when syncing for /events worker)
-const SHEET_ID = process.env.SHEET_ID || "";
-const EVENTS_SHEET_NAME = process.env.EVENTS_SHEET_NAME || "events";
-const SA_B64 = process.env.GOOGLE_SERVICE_ACCOUNT_JSON_B64 || "";
-const SA_JSON_PLAIN = process.env.GOOGLE_SERVICE_ACCOUNT_JSON || "";
+const SHEET_ID = settings.SHEET_ID;
+const EVENTS_SHEET_NAME = settings.EVENTS_SHEET_NAME;
+const SINKS = settings.SINKS;
+const SHEETS_MAPPING_JSON = settings.SHEETS_MAPPING;
+const SHEETS_MAPPING_FILE = settings.SHEETS_MAPPING_FILE;
+const WEBHOOK_INTERVAL_MS = settings.WEBHOOK_INTERVAL_MS;
+const WEBHOOK_BATCH_SIZE = settings.WEBHOOK_BATCH_SIZE;
+const WEBHOOK_TIMEOUT_MS = settings.WEBHOOK_TIMEOUT_MS;
+const WEBHOOK_BACKOFF_BASE_MS = settings.WEBHOOK_BACKOFF_BASE_MS;
+const WEBHOOK_BACKOFF_MAX_MS = settings.WEBHOOK_BACKOFF_MAX_MS;
+const WEBHOOK_MAX_ATTEMPTS = settings.WEBHOOK_MAX_ATTEMPTS;
+const SA_B64 = settings.GOOGLE_SERVICE_ACCOUNT_JSON_B64;
+const SA_JSON_PLAIN = settings.GOOGLE_SERVICE_ACCOUNT_JSON;
 
 // Line 3-A settings (/ingest -> GAS -> Sheets)
-const GAS_WEBAPP_URL = process.env.GAS_WEBAPP_URL || "";
-const ITPLAYLAB_SECRET = process.env.ITPLAYLAB_SECRET || "";
-const GAS_TIMEOUT_MS = Number(process.env.GAS_TIMEOUT_MS || 2500);
+const GAS_WEBAPP_URL = settings.GAS_WEBAPP_URL;
+const ITPLAYLAB_SECRET = settings.ITPLAYLAB_SECRET;
+const GAS_TIMEOUT_MS = settings.GAS_TIMEOUT_MS;
+
+// Batch ingest (/ingest/batch)
+const INGEST_BATCH_MAX_ITEMS = settings.INGEST_BATCH_MAX_ITEMS;
+const INGEST_BATCH_GAS_CONCURRENCY = settings.INGEST_BATCH_GAS_CONCURRENCY;
 
 // Line 3-B JSONL fallback (durable on disk)
-const JSONL_FALLBACK = (process.env.JSONL_FALLBACK || "OFF").toUpperCase(); // OFF | ON
-const JSONL_ALWAYS = (process.env.JSONL_ALWAYS || "OFF").toUpperCase(); // OFF | ON
-const JSONL_DIR = process.env.JSONL_DIR || "/var/data";
-const JSONL_FILE = process.env.JSONL_FILE || "ingest_fallback.jsonl";
-const JSONL_MAX_BYTES = Number(process.env.JSONL_MAX_BYTES || 104857600); // 100MB
-const JSONL_TAIL_MAX_BYTES = Number(process.env.JSONL_TAIL_MAX_BYTES || 2097152); // 2MB
+const JSONL_FALLBACK = settings.JSONL_FALLBACK; // OFF | ON
+const JSONL_ALWAYS = settings.JSONL_ALWAYS; // OFF | ON
+const JSONL_DIR = settings.JSONL_DIR;
+const JSONL_FILE = settings.JSONL_FILE;
+const JSONL_MAX_BYTES = settings.JSONL_MAX_BYTES; // 100MB
+const JSONL_TAIL_MAX_BYTES = settings.JSONL_TAIL_MAX_BYTES; // 2MB
+const JSONL_MAX_RECORD_BYTES = settings.JSONL_MAX_RECORD_BYTES; // 16MB
 const JSONL_ENABLED = JSONL_FALLBACK === "ON" || JSONL_ALWAYS === "ON";
+const JSONL_FSYNC = settings.JSONL_FSYNC; // NONE | WRITE | INTERVAL
+const JSONL_FSYNC_INTERVAL_MS = settings.JSONL_FSYNC_INTERVAL_MS;
+
+// Line 3-B retention for rotated segments
+const JSONL_COMPRESS = settings.JSONL_COMPRESS; // OFF | ON
+const JSONL_RETENTION_MAX_BYTES = settings.JSONL_RETENTION_MAX_BYTES;
+const JSONL_RETENTION_MAX_AGE_MS = settings.JSONL_RETENTION_MAX_AGE_MS;
+const JSONL_RETENTION_MAX_SEGMENTS = settings.JSONL_RETENTION_MAX_SEGMENTS;
+const JSONL_RETENTION_INTERVAL_MS = settings.JSONL_RETENTION_INTERVAL_MS;
+
+// Line 3-B query over the JSONL log
+const JSONL_QUERY_MAX_SCAN_BYTES = settings.JSONL_QUERY_MAX_SCAN_BYTES; // 64MB
+const JSONL_QUERY_INDEX = settings.JSONL_QUERY_INDEX; // OFF | ON
+const JSONL_INDEX_DIR = settings.JSONL_INDEX_DIR;
+
+// Async ack + background forwarder
+const INGEST_ACK_MODE = settings.INGEST_ACK_MODE; // SYNC | ASYNC
+const FORWARDER_INTERVAL_MS = settings.FORWARDER_INTERVAL_MS;
+const FORWARDER_BATCH_SIZE = settings.FORWARDER_BATCH_SIZE;
+const FORWARDER_STATE_FILE = settings.FORWARDER_STATE_FILE;
+const INGEST_ASYNC_ENABLED = INGEST_ACK_MODE === "ASYNC" && JSONL_ENABLED;
 
 // Line 3-C-lite replay worker
-const REPLAY_ENABLED = (process.env.REPLAY_ENABLED || "OFF").toUpperCase(); // OFF | ON
-const REPLAY_INTERVAL_MS = Number(process.env.REPLAY_INTERVAL_MS || 3000);
-const REPLAY_BATCH_SIZE = Number(process.env.REPLAY_BATCH_SIZE || 10);
-const REPLAY_MAX_BYTES_PER_TICK = Number(process.env.REPLAY_MAX_BYTES_PER_TICK || 1048576); // 1MB
-const REPLAY_MODE = (process.env.REPLAY_MODE || "FALLBACK_ONLY").toUpperCase(); // FALLBACK_ONLY | ALL
-const REPLAY_STATE_FILE = process.env.REPLAY_STATE_FILE || "replay_state.json";
+// REPLAY_ENABLED and the other REPLAY_* knobs are read live from `settings` (see /control)
+const REPLAY_STATE_FILE = settings.REPLAY_STATE_FILE;
+
+// Dead letters
+const DEAD_LETTER_FILE = settings.DEAD_LETTER_FILE;
+
+// Auth
+const AUTH_MODE = settings.AUTH_MODE; // OFF | ON
+const API_KEYS_JSON = settings.API_KEYS;
+const API_KEYS_FILE = settings.API_KEYS_FILE;
+
+// Rate limits
+const RATE_LIMIT = settings.RATE_LIMIT; // OFF | ON
+const RATE_LIMITS_JSON = settings.RATE_LIMITS;
+const RATE_LIMITS_FILE = settings.RATE_LIMITS_FILE;
+const RATE_LIMIT_STATE_FILE = settings.RATE_LIMIT_STATE_FILE;
+const RATE_LIMIT_SAVE_INTERVAL_MS = settings.RATE_LIMIT_SAVE_INTERVAL_MS;
+const RATE_LIMIT_MAX_KEYS = settings.RATE_LIMIT_MAX_KEYS;
+const TRUST_PROXY = settings.TRUST_PROXY;
+
+// HMAC signing
+const HMAC_MODE = settings.HMAC_MODE; // OFF | ON
+const HMAC_SECRETS_JSON = settings.HMAC_SECRETS;
+const HMAC_SECRETS_FILE = settings.HMAC_SECRETS_FILE;
+const HMAC_TOLERANCE_SEC = settings.HMAC_TOLERANCE_SEC;
+
+// Schema registry
+const SCHEMA_DIR = settings.SCHEMA_DIR;
+const SCHEMA_VALIDATION = settings.SCHEMA_VALIDATION; // OFF | WARN | REJECT
+const SCHEMA_UNKNOWN = settings.SCHEMA_UNKNOWN; // ALLOW | REJECT
+
+// Idempotency keys
+const IDEMPOTENCY = settings.IDEMPOTENCY; // OFF | ON
+const IDEMPOTENCY_TTL_MS = settings.IDEMPOTENCY_TTL_MS; // 24h
+const IDEMPOTENCY_BODY_FIELD = settings.IDEMPOTENCY_BODY_FIELD;
+const IDEMPOTENCY_FILE = settings.IDEMPOTENCY_FILE;
+const IDEMPOTENCY_COMPACT_EVERY = settings.IDEMPOTENCY_COMPACT_EVERY;
+
+// Dedupe
+const DEDUPE_WINDOW_MS = settings.DEDUPE_WINDOW_MS;
+const DEDUPE_KEY = settings.DEDUPE_KEY; // CANONICAL|FIELDS|RAW
+const DEDUPE_FIELDS = settings.DEDUPE_FIELDS;
+const DEDUPE_IGNORE_FIELDS = settings.DEDUPE_IGNORE_FIELDS;
+const DEDUPE_POLICY = settings.DEDUPE_POLICY; // FLAG | DROP | PASS
+const DEDUPE_INGEST = settings.DEDUPE_INGEST; // OFF | ON
+const DEDUPE_PERSIST = settings.DEDUPE_PERSIST; // OFF | ON
+const DEDUPE_FILE = settings.DEDUPE_FILE;
+const DEDUPE_MAX_KEYS = settings.DEDUPE_MAX_KEYS;
+const DEDUPE_COMPACT_EVERY = settings.DEDUPE_COMPACT_EVERY;
+
+// Job timeline
+const JOB_TIMELINE = settings.JOB_TIMELINE; // OFF | ON
+const JOB_TIMELINE_FILE = settings.JOB_TIMELINE_FILE;
+const JOB_TIMELINE_TTL_MS = settings.JOB_TIMELINE_TTL_MS; // 7d
+const JOB_TIMELINE_MAX_JOBS = settings.JOB_TIMELINE_MAX_JOBS;
+const JOB_TIMELINE_COMPACT_EVERY = settings.JOB_TIMELINE_COMPACT_EVERY;
+
+// Telegram webhook
+const TG_WEBHOOK_SECRET = settings.TG_WEBHOOK_SECRET;
+const SHEETS_INGEST_URL = settings.SHEETS_INGEST_URL;
+const TG_DEDUPE_WINDOW_MS = settings.TG_DEDUPE_WINDOW_MS; // 24h
+const TG_DEDUPE_LIMIT = settings.TG_DEDUPE_LIMIT;
+const TG_DEDUPE_FILE = settings.TG_DEDUPE_FILE;
+
+// Stage D durable queue (journal on disk)
+const QUEUE_DURABLE = settings.QUEUE_DURABLE; // OFF | ON
+const QUEUE_FILE = settings.QUEUE_FILE;
+const QUEUE_COMPACT_EVERY = settings.QUEUE_COMPACT_EVERY;
+const QUEUE_SPILL_FILE = settings.QUEUE_SPILL_FILE;
+
+// Graceful shutdown
+const SHUTDOWN_TIMEOUT_MS = settings.SHUTDOWN_TIMEOUT_MS;
+const SHUTDOWN_FLUSH_MS = settings.SHUTDOWN_FLUSH_MS;
+
+// Runtime control
+const CONTROL_STATE_FILE = settings.CONTROL_STATE_FILE;
+const AUDIT_FILE = settings.AUDIT_FILE;
 
 // Derived switches
 const STORE_ENABLED = OPS_MODE === "STORE" || OPS_MODE === "FULL";
-const WORKER_ENABLED = OPS_MODE === "FULL" && EXTERNAL_SYNC === "ON";
+const QUEUE_DURABLE_ENABLED = OPS_MODE === "FULL" && QUEUE_DURABLE === "ON";
+const QUEUE_MAX_DISK_ITEMS = settings.QUEUE_MAX_DISK_ITEMS;
+
+// EXTERNAL_SYNC can be switched on at runtime (POST /control/worker/resume)
+function workerEnabled() {
+  return OPS_MODE === "FULL" && settings.EXTERNAL_SYNC === "ON";
+}
+
+// req.ip is the client address only when the proxies in front are trusted
+if (TRUST_PROXY > 0) app.set("trust proxy", TRUST_PROXY);
 
 // -----------------------
 // Body parser (global)
@@ -188,12 +432,23 @@ app.use(
   express.json({
     limit: JSON_LIMIT,
     type: ["application/json", "*/json", "+json"],
+    // raw bytes are kept for HMAC verification
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
   })
 );
 
 // -----------------------
 // Helpers
 // -----------------------
+// req.traceId + req.log (trace_id, route; key_id is added once auth passes)
+function requestContextMiddleware(req, res, next) {
+  req.traceId = String(req.headers["x-request-id"] || crypto.randomUUID());
+  req.log = logger.child({ trace_id: req.traceId, route: `${req.method} ${req.path}` });
+  next();
+}
+
 function safeNowIso() {
   return new Date().toISOString();
 }
@@ -202,6 +457,22 @@ function sha256(str) {
   return crypto.createHash("sha256").update(str).digest("hex");
 }
 
+// constant-time compare (hash first so lengths always match)
+function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function newJobId() {
+  return (
+    "job_" +
+    new Date().toISOString().replace(/[-:.TZ]/g, "") +
+    "_" +
+    crypto.randomBytes(3).toString("hex")
+  );
+}
+
 function cleanupMapByWindow(map, now, windowMs) {
   for (const [k, ts] of map.entries()) {
     if (now - ts > windowMs) map.delete(k);
@@ -215,609 +486,5021 @@ function buildGasUrl(baseUrl, secret) {
 }
 
 
-// ---- Line 3-A helper: POST to GAS (best-effort, timeout)
-async function postToGASForSheets(eventForSheets) {
-  if (!GAS_WEBAPP_URL || !ITPLAYLAB_SECRET) {
-    return { ok: false, error: "missing_GAS_WEBAPP_URL_or_ITPLAYLAB_SECRET" };
-  }
-
-  const endpoint = buildGasUrl(GAS_WEBAPP_URL, ITPLAYLAB_SECRET);
-  const t0 = Date.now();
+// ---- Metrics (Prometheus text exposition, no client library) ----
+/**
+ * Counters/histograms live in process memory and reset on restart;
+ * itplaylab_process_start_time_seconds makes those resets visible.
+ */
+const PROCESS_STARTED_AT = Date.now();
+const LATENCY_BUCKETS_SEC = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const metricDefs = new Map(); // name -> { type, help, buckets, series: Map(key -> { labels, value }) }
 
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), GAS_TIMEOUT_MS);
+function defineMetric(name, type, help, buckets) {
+  metricDefs.set(name, { type, help, buckets, series: new Map() });
+}
 
-  try {
-    console.log("[gas] POST", endpoint.replace(/__secret=([^&]+)/, "__secret=***"));
-    const res = await fetch(endpoint, {
-      method: "POST",
-      headers: { "content-type": "application/json" },
-      body: JSON.stringify(eventForSheets),
-      signal: controller.signal,
-    });
+function metricSeries(name, labels) {
+  const def = metricDefs.get(name);
+  const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+  let s = def.series.get(key);
+  if (!s) {
+    s =
+      def.type === "histogram"
+        ? { labels, value: { counts: def.buckets.map(() => 0), sum: 0, count: 0 } }
+        : { labels, value: 0 };
+    def.series.set(key, s);
+  }
+  return s;
+}
 
-    const raw = await res.text();
-    let data;
-    try {
-      data = JSON.parse(raw);
-    } catch {
-      data = { ok: false, error: "invalid_json_from_gas", raw };
-    }
+function incCounter(name, labels = {}, by = 1) {
+  metricSeries(name, labels).value += by;
+}
 
-    return {
-  ok: Boolean(data?.ok),
-  status: res.status,
-  error: data?.error || (res.ok ? null : `http_${res.status}`),
-  latency_ms: Date.now() - t0,
-  data,
-};
+function setGauge(name, labels, value) {
+  metricSeries(name, labels).value = Number(value) || 0;
+}
 
-  } catch (err) {
-    const isAbort = String(err?.name || "").toLowerCase().includes("abort");
-    return {
-      ok: false,
-      error: isAbort ? "gas_timeout" : String(err?.message || err),
-      latency_ms: Date.now() - t0,
-    };
-  } finally {
-    clearTimeout(timeout);
-  }
+function observeHistogram(name, labels, seconds) {
+  const def = metricDefs.get(name);
+  const h = metricSeries(name, labels).value;
+  def.buckets.forEach((le, i) => {
+    if (seconds <= le) h.counts[i] += 1;
+  });
+  h.sum += seconds;
+  h.count += 1;
 }
 
-// ---- Line 3-B helper: JSONL (durable fallback) ----
-let jsonlWriteChain = Promise.resolve();
+function formatLabels(labels, extra) {
+  const all = { ...labels, ...extra };
+  const parts = Object.entries(all).map(
+    ([k, v]) =>
+      `${k}="${String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"')}"`
+  );
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
 
-function jsonlPath() {
-  return path.join(JSONL_DIR, JSONL_FILE);
+function renderMetrics() {
+  const out = [];
+  for (const [name, def] of metricDefs) {
+    out.push(`# HELP ${name} ${def.help}`);
+    out.push(`# TYPE ${name} ${def.type}`);
+    for (const { labels, value } of def.series.values()) {
+      if (def.type !== "histogram") {
+        out.push(`${name}${formatLabels(labels)} ${value}`);
+        continue;
+      }
+      def.buckets.forEach((le, i) => {
+        out.push(`${name}_bucket${formatLabels(labels, { le })} ${value.counts[i]}`);
+      });
+      out.push(`${name}_bucket${formatLabels(labels, { le: "+Inf" })} ${value.count}`);
+      out.push(`${name}_sum${formatLabels(labels)} ${value.sum}`);
+      out.push(`${name}_count${formatLabels(labels)} ${value.count}`);
+    }
+  }
+  return out.join("\n") + "\n";
 }
 
-async function ensureDirExists(dir) {
-  await fs.promises.mkdir(dir, { recursive: true });
+defineMetric("itplaylab_process_start_time_seconds", "gauge", "Process start time (unix seconds).");
+defineMetric(
+  "itplaylab_http_requests_total",
+  "counter",
+  "HTTP requests by route, method and status."
+);
+defineMetric(
+  "itplaylab_http_request_duration_seconds",
+  "histogram",
+  "HTTP request latency by route, source and event_type.",
+  LATENCY_BUCKETS_SEC
+);
+defineMetric("itplaylab_gas_requests_total", "counter", "GAS web app posts by result code.");
+defineMetric(
+  "itplaylab_gas_request_duration_seconds",
+  "histogram",
+  "GAS web app post latency.",
+  LATENCY_BUCKETS_SEC
+);
+defineMetric(
+  "itplaylab_jsonl_records_total",
+  "counter",
+  "Records appended to the JSONL log by stage."
+);
+defineMetric(
+  "itplaylab_rate_limited_total",
+  "counter",
+  "Requests rejected with 429 by dimension and reason."
+);
+defineMetric("itplaylab_sink_deliveries_total", "counter", "Sink deliveries by sink and result.");
+defineMetric(
+  "itplaylab_sink_delivery_duration_seconds",
+  "histogram",
+  "Sink delivery latency.",
+  LATENCY_BUCKETS_SEC
+);
+defineMetric("itplaylab_jsonl_written_bytes_total", "counter", "Bytes appended to the JSONL log.");
+defineMetric("itplaylab_jsonl_write_errors_total", "counter", "Failed JSONL appends.");
+defineMetric("itplaylab_jsonl_rotations_total", "counter", "JSONL file rotations.");
+defineMetric("itplaylab_jsonl_fsyncs_total", "counter", "fsync calls on the JSONL log.");
+defineMetric(
+  "itplaylab_jsonl_segments_compressed_total",
+  "counter",
+  "Rotated JSONL segments gzipped."
+);
+defineMetric(
+  "itplaylab_jsonl_segments_pruned_total",
+  "counter",
+  "Rotated JSONL segments deleted by reason."
+);
+defineMetric("itplaylab_jsonl_file_bytes", "gauge", "Size of the active JSONL file.");
+defineMetric(
+  "itplaylab_replay_lag_bytes",
+  "gauge",
+  "JSONL bytes (all segments) past the replay cursor."
+);
+defineMetric("itplaylab_replay_records_total", "counter", "Replay worker results by outcome.");
+defineMetric("itplaylab_forwarder_lag_records", "gauge", "Accepted records not yet forwarded.");
+defineMetric("itplaylab_forwarder_lag_seconds", "gauge", "Age of the oldest unforwarded record.");
+defineMetric("itplaylab_queue_depth", "gauge", "Stage D sync queue depth (location=memory|disk).");
+defineMetric("itplaylab_queue_items_total", "counter", "Stage D sync queue items by outcome.");
+defineMetric("itplaylab_dead_letters", "gauge", "Dead letters currently stored.");
+
+setGauge("itplaylab_process_start_time_seconds", {}, Math.floor(PROCESS_STARTED_AT / 1000));
+
+function gasResultCode(r) {
+  if (r.ok) return "ok";
+  if (r.error === "gas_timeout") return "timeout";
+  if (r.error === "missing_GAS_WEBAPP_URL_or_ITPLAYLAB_SECRET") return "not_configured";
+  if (r.error === "invalid_json_from_gas") return "invalid_json";
+  if (r.status >= 400) return `http_${r.status}`;
+  if (r.status) return "gas_error"; // GAS answered but said ok:false
+  return "network_error";
 }
 
-async function rotateIfNeeded(filePath) {
-  try {
-    const st = await fs.promises.stat(filePath);
-    if (st.size < JSONL_MAX_BYTES) return;
+// Body values become labels only when the server already knows them (sources of API keys or
+// HMAC secrets, event_types in the schema registry); anything else is "other", so clients
+// cannot mint new series.
+function metricSourceLabel(v) {
+  if (v === undefined || v === null || v === "") return "";
+  const s = String(v);
+  return hmacSecrets.has(s) || apiKeys.some((k) => k.sources?.has(s)) ? s : "other";
+}
 
-    const rotated = `${filePath}.${new Date().toISOString().replace(/[:.]/g, "-")}.bak`;
-    await fs.promises.rename(filePath, rotated);
-  } catch {
-    // file not found -> ignore
-  }
+function metricEventTypeLabel(v) {
+  if (v === undefined || v === null || v === "") return "";
+  const s = String(v);
+  return schemaRegistry.has(s) ? s : "other";
 }
 
-function appendJsonl(record) {
-  if (!JSONL_ENABLED) {
-    return Promise.resolve({ ok: false, skipped: true, reason: "jsonl_disabled" });
-  }
+function httpMetricsMiddleware(req, res, next) {
+  const t0 = process.hrtime.bigint();
+  res.on("finish", () => {
+    const route = req.route?.path || "unmatched";
+    const seconds = Number(process.hrtime.bigint() - t0) / 1e9;
+    const accepted = res.statusCode < 400;
+
+    incCounter("itplaylab_http_requests_total", {
+      route,
+      method: req.method,
+      status: String(res.statusCode),
+    });
+    observeHistogram(
+      "itplaylab_http_request_duration_seconds",
+      {
+        route,
+        source: accepted ? metricSourceLabel(req.body?.source) : "",
+        event_type: accepted ? metricEventTypeLabel(req.body?.event_type) : "",
+      },
+      seconds
+    );
+  });
+  next();
+}
 
-  const filePath = jsonlPath();
-  const line = JSON.stringify(record) + "\n";
+// ---- Auth: API keys with scopes + source allowlists ----
+/**
+ * Key entries (API_KEYS JSON or API_KEYS_FILE):
+ * { "id": "shop-prod", "key": "<secret>" | "key_sha256": "<hex>",
+ *   "scopes": ["ingest:write"], "sources": ["shop"] }
+ *
+ * Scopes: ingest:write, events:write, ops:read, ops:admin (implies ops:read), "*".
+ * `sources` is optional; when set, body.source must be in it.
+ */
+let apiKeys = []; // { id, hash: Buffer, scopes: Set, sources: Set|null }
+let apiKeysLoadedAt = null;
+let apiKeysLoadError = null;
+let authStats = { allowed: 0, rejected: 0 };
 
-  jsonlWriteChain = jsonlWriteChain
-    .then(async () => {
-      await ensureDirExists(JSONL_DIR);
-      await rotateIfNeeded(filePath);
-      await fs.promises.appendFile(filePath, line, "utf8");
-      return { ok: true };
-    })
-    .catch((err) => {
-      return { ok: false, error: String(err?.message || err) };
+function loadApiKeys() {
+  try {
+    let raw = API_KEYS_JSON;
+    if (!raw && API_KEYS_FILE) raw = fs.readFileSync(API_KEYS_FILE, "utf8");
+    const list = raw ? JSON.parse(raw) : [];
+    if (!Array.isArray(list)) throw new Error("API keys must be a JSON array");
+
+    const next = list.map((k, i) => {
+      if (!k?.id || (!k.key && !k.key_sha256)) {
+        throw new Error(`key #${i}: id and key (or key_sha256) are required`);
+      }
+      // Buffer.from(hex) silently drops bad digits -> a hash that could never match
+      if (k.key_sha256 && !/^[0-9a-f]{64}$/i.test(String(k.key_sha256))) {
+        throw new Error(`key ${k.id}: key_sha256 must be 64 hex characters`);
+      }
+      return {
+        id: String(k.id),
+        hash: k.key_sha256
+          ? Buffer.from(String(k.key_sha256).toLowerCase(), "hex")
+          : crypto.createHash("sha256").update(String(k.key)).digest(),
+        scopes: new Set(Array.isArray(k.scopes) ? k.scopes : []),
+        sources: Array.isArray(k.sources) && !k.sources.includes("*") ? new Set(k.sources) : null,
+      };
     });
 
-  return jsonlWriteChain;
+    apiKeys = next;
+    apiKeysLoadedAt = safeNowIso();
+    apiKeysLoadError = null;
+    return { ok: true, count: next.length };
+  } catch (e) {
+    // keep the previous key set on a bad reload
+    apiKeysLoadError = String(e?.message || e);
+    logger.error("auth.keys.load_fail", { line: "AUTH", error: apiKeysLoadError });
+    return { ok: false, error: apiKeysLoadError };
+  }
 }
 
-// ---- Line 3-C-lite helper: replay state + read from offset ----
-function replayStatePath() {
-  return path.join(JSONL_DIR, REPLAY_STATE_FILE);
+function presentedApiKey(req) {
+  const h = String(req.headers.authorization || "");
+  if (h.toLowerCase().startsWith("bearer ")) return h.slice(7).trim();
+  return req.headers["x-api-key"] ? String(req.headers["x-api-key"]) : "";
 }
 
-async function loadReplayState() {
-  const p = replayStatePath();
-  try {
-    const raw = await fs.promises.readFile(p, "utf8");
-    const st = JSON.parse(raw);
-    return {
-      offset: Number(st.offset || 0),
-      updated_at: st.updated_at || null,
-      last_error: st.last_error || null,
-      sent: Number(st.sent || 0),
-      failed: Number(st.failed || 0),
-    };
-  } catch {
-    return { offset: 0, updated_at: null, last_error: null, sent: 0, failed: 0 };
+// compares against every key (no early exit) so timing doesn't leak which one matched
+function findApiKey(presented) {
+  const h = crypto.createHash("sha256").update(presented).digest();
+  let found = null;
+  for (const k of apiKeys) {
+    if (k.hash.length === h.length && crypto.timingSafeEqual(k.hash, h) && !found) found = k;
   }
+  return found;
 }
 
-async function saveReplayState(state) {
-  await ensureDirExists(JSONL_DIR);
-  const p = replayStatePath();
-  const body = JSON.stringify(
-    {
-      offset: Number(state.offset || 0),
-      updated_at: new Date().toISOString(),
-      last_error: state.last_error || null,
-      sent: Number(state.sent || 0),
-      failed: Number(state.failed || 0),
-    },
-    null,
-    2
-  );
-  await fs.promises.writeFile(p, body, "utf8");
+function keyHasScope(key, scope) {
+  if (key.scopes.has("*") || key.scopes.has(scope)) return true;
+  return scope === "ops:read" && key.scopes.has("ops:admin");
 }
 
-async function readJsonlFromOffset(filePath, offset, maxBytes) {
-  const st = await fs.promises.stat(filePath);
-  const size = st.size;
-  if (offset >= size) return { lines: [], newOffset: offset, eof: true };
+function sourceAllowed(auth, source) {
+  return !auth || !auth.sources || auth.sources.has(String(source));
+}
 
-  const readSize = Math.min(maxBytes, size - offset);
-  const fd = await fs.promises.open(filePath, "r");
-  const buf = Buffer.alloc(readSize);
-  await fd.read(buf, 0, readSize, offset);
-  await fd.close();
+function rejectAuth(req, res, status, error, detail, keyId) {
+  authStats.rejected += 1;
+  req.log.warn("auth.reject", {
+    line: "AUTH",
+    method: req.method,
+    key_id: keyId,
+    ok: false,
+    error,
+  });
+  return res.status(status).json({ ok: false, error, detail, mode: MODE_TAG });
+}
 
-  const text = buf.toString("utf8");
+/**
+ * Route middleware. `scopes` = one scope or a list (any of them is enough).
+ * Sets req.auth = { key_id, scopes, sources } (null when AUTH_MODE=OFF).
+ */
+function requireScope(scopes) {
+  const wanted = Array.isArray(scopes) ? scopes : [scopes];
+
+  return (req, res, next) => {
+    req.auth = null;
+    if (AUTH_MODE !== "ON") return next();
+
+    const presented = presentedApiKey(req);
+
+    // a verified HMAC signature stands in for a write key, limited to its own source
+    const writeScopes = wanted.filter((s) => s === "ingest:write" || s === "events:write");
+    if (!presented && req.signature?.verified && writeScopes.length > 0) {
+      authStats.allowed += 1;
+      req.auth = {
+        key_id: `hmac:${req.signature.source}`,
+        scopes: writeScopes,
+        sources: new Set([req.signature.source]),
+      };
+      req.log = req.log.child({ key_id: req.auth.key_id });
+      return next();
+    }
 
-  const lastNewline = text.lastIndexOf("\n");
-  if (lastNewline < 0) {
-    return { lines: [], newOffset: offset, eof: false };
-  }
+    if (!presented) return rejectAuth(req, res, 401, "UNAUTHORIZED", "API key required");
 
-  const complete = text.slice(0, lastNewline);
-  const rawLines = complete.split("\n").filter(Boolean);
+    const key = findApiKey(presented);
+    if (!key) return rejectAuth(req, res, 401, "UNAUTHORIZED", "Invalid API key");
 
-  const parsed = [];
-  for (const l of rawLines) {
-    try {
-      parsed.push(JSON.parse(l));
-    } catch {
-      // skip bad line
+    if (!wanted.some((s) => keyHasScope(key, s))) {
+      return rejectAuth(
+        req,
+        res,
+        403,
+        "FORBIDDEN",
+        `requires scope ${wanted.join(" or ")}`,
+        key.id
+      );
     }
-  }
 
-  const bytesConsumed = Buffer.byteLength(text.slice(0, lastNewline + 1), "utf8");
-  return { lines: parsed, newOffset: offset + bytesConsumed, eof: false };
+    authStats.allowed += 1;
+    req.auth = { key_id: key.id, scopes: [...key.scopes], sources: key.sources };
+    req.log = req.log.child({ key_id: key.id });
+    return next();
+  };
 }
 
-function shouldReplayRecord(rec) {
-  const stage = String(rec?.stage || "");
-  if (REPLAY_MODE === "ALL") return stage === "jsonl.always" || stage === "jsonl.fallback";
-  return stage === "jsonl.fallback";
-}
-
-// ---- Line 3-C-lite: replay worker ----
-let replayTimer = null;
-let replayBusy = false;
-let replayStats = {
-  ticks: 0,
-  sent: 0,
-  failed: 0,
-  last_tick_at: null,
-  last_error: null,
-};
+// ---- Auth: HMAC-SHA256 body signatures (per-source secrets) ----
+/**
+ * Producer sends:
+ *   X-Signature-Timestamp: <unix seconds>
+ *   X-Signature: sha256=<hex HMAC-SHA256(secret, `${timestamp}.${rawBody}`)>
+ *   X-Signature-Source: <source>   (optional; defaults to body.source)
+ *
+ * HMAC_SECRETS = { "<source>": "secret" | ["current", "previous"] }
+ * Up to two secrets per source are active so producers can rotate.
+ */
+let hmacSecrets = new Map(); // source -> [secret, secret?]
+let hmacLoadError = null;
+const hmacSeenSignatures = new Map(); // signature -> ts (replay protection)
+let hmacStats = { verified: 0, rejected: 0 };
 
-async function replayTickOnce() {
-  replayStats.ticks += 1;
-  replayStats.last_tick_at = new Date().toISOString();
+function loadHmacSecrets() {
+  try {
+    let raw = HMAC_SECRETS_JSON;
+    if (!raw && HMAC_SECRETS_FILE) raw = fs.readFileSync(HMAC_SECRETS_FILE, "utf8");
+    const obj = raw ? JSON.parse(raw) : {};
+    if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+      throw new Error("HMAC secrets must be a JSON object of source -> secret(s)");
+    }
 
-  if (!JSONL_ENABLED) return { ok: true, skipped: true, reason: "jsonl_disabled" };
-  if (REPLAY_ENABLED !== "ON") return { ok: true, skipped: true, reason: "replay_disabled" };
-  if (replayBusy) return { ok: true, skipped: true, reason: "replay_busy" };
+    const next = new Map();
+    for (const [source, v] of Object.entries(obj)) {
+      const list = (Array.isArray(v) ? v : [v]).filter(Boolean).map(String);
+      if (list.length === 0) continue;
+      if (list.length > 2) logger.warn("hmac.secrets.truncated", { line: "AUTH", source, kept: 2 });
+      next.set(source, list.slice(0, 2));
+    }
 
-  replayBusy = true;
+    hmacSecrets = next;
+    hmacLoadError = null;
+    return { ok: true, sources: next.size };
+  } catch (e) {
+    hmacLoadError = String(e?.message || e);
+    logger.error("hmac.secrets.load_fail", { line: "AUTH", error: hmacLoadError });
+    return { ok: false, error: hmacLoadError };
+  }
+}
 
-  try {
-    const filePath = jsonlPath();
+function rejectSignature(req, res, reason, source) {
+  hmacStats.rejected += 1;
+  req.log.warn("ingest.reject", {
+    line: req.path === "/events" ? "EVENTS" : "L2",
+    source,
+    ok: false,
+    error: "BAD_SIGNATURE",
+    reason,
+  });
+  return res
+    .status(401)
+    .json({ ok: false, error: "BAD_SIGNATURE", detail: reason, mode: MODE_TAG });
+}
 
-    try {
-      await fs.promises.stat(filePath);
-    } catch {
-      return { ok: true, skipped: true, reason: "no_jsonl_file" };
-    }
+/**
+ * Route middleware. Sources without a configured secret pass through untouched
+ * (API keys still apply); sources with one must send a valid signature.
+ * Sets req.signature = { verified, source, secret_index }.
+ */
+function verifySignature(req, res, next) {
+  req.signature = null;
+  if (HMAC_MODE !== "ON") return next();
 
-    const state = await loadReplayState();
-    const beforeOffset = state.offset;
+  const source = String(req.headers["x-signature-source"] || req.body?.source || "");
+  if (req.body?.source !== undefined && String(req.body.source) !== source) {
+    return rejectSignature(req, res, "source_mismatch", source);
+  }
 
-    const { lines, newOffset } = await readJsonlFromOffset(
-      filePath,
-      state.offset,
-      REPLAY_MAX_BYTES_PER_TICK
-    );
+  const secrets = hmacSecrets.get(source);
+  if (!secrets) return next();
 
-    if (lines.length === 0) {
-      return { ok: true, sent: 0, advanced: 0, offset: state.offset };
-    }
+  const reason = checkSignature(req, source, secrets);
+  if (reason) return rejectSignature(req, res, reason, source);
+  return next();
+}
 
-    const candidates = lines.filter(shouldReplayRecord).slice(0, REPLAY_BATCH_SIZE);
+/**
+ * /ingest/batch: one signature over the raw body (JSON or NDJSON) for one source, named by
+ * X-Signature-Source or shared by every item. Items whose source has a secret are rejected
+ * per item unless they are that signed source (see batchItemSignatureError).
+ */
+function verifyBatchSignature(req, res, next) {
+  req.signature = null;
+  if (HMAC_MODE !== "ON") return next();
+  if (!req.headers["x-signature"] && !req.headers["x-signature-source"]) return next();
 
-    if (candidates.length === 0) {
-      state.offset = newOffset;
-      state.last_error = null;
-      await saveReplayState(state);
+  const itemSources = new Set(
+    (parseBatchBody(req.body).items || []).map((it) => String(it?.source ?? ""))
+  );
+  const source = String(
+    req.headers["x-signature-source"] || (itemSources.size === 1 ? [...itemSources][0] : "")
+  );
+  if (!source) return rejectSignature(req, res, "missing_signature_source", source);
+
+  const secrets = hmacSecrets.get(source);
+  if (!secrets) return next();
+
+  const reason = checkSignature(req, source, secrets);
+  if (reason) return rejectSignature(req, res, reason, source);
+  return next();
+}
+
+function batchItemSignatureError(req, source) {
+  if (HMAC_MODE !== "ON" || !hmacSecrets.has(String(source))) return null;
+  if (req.signature?.source === String(source)) return null;
+  hmacStats.rejected += 1;
+  return req.signature ? "source_mismatch" : "missing_signature";
+}
+
+// returns the rejection reason, or null once req.signature is set
+function checkSignature(req, source, secrets) {
+  const sigHeader = String(req.headers["x-signature"] || "");
+  const tsHeader = String(req.headers["x-signature-timestamp"] || "");
+  if (!sigHeader) return "missing_signature";
+  if (!/^\d+$/.test(tsHeader)) return "missing_timestamp";
+
+  const skewSec = Math.abs(Date.now() / 1000 - Number(tsHeader));
+  if (skewSec > HMAC_TOLERANCE_SEC) return "stale_timestamp";
+
+  const presented = sigHeader
+    .replace(/^sha256=/i, "")
+    .trim()
+    .toLowerCase();
+  const rawBody = req.rawBody || Buffer.alloc(0);
+
+  // try every active secret without early exit (timing)
+  let matchedIndex = -1;
+  secrets.forEach((secret, i) => {
+    const expected = crypto
+      .createHmac("sha256", secret)
+      .update(`${tsHeader}.`)
+      .update(rawBody)
+      .digest("hex");
+    if (safeEqual(presented, expected) && matchedIndex < 0) matchedIndex = i;
+  });
+  if (matchedIndex < 0) return "signature_mismatch";
+
+  const now = Date.now();
+  cleanupMapByWindow(hmacSeenSignatures, now, HMAC_TOLERANCE_SEC * 1000);
+  if (hmacSeenSignatures.has(presented)) return "replayed_signature";
+  hmacSeenSignatures.set(presented, now);
+
+  if (matchedIndex > 0) {
+    req.log.info("hmac.previous_secret", { line: "AUTH", source });
+  }
+
+  hmacStats.verified += 1;
+  req.signature = { verified: true, source, secret_index: matchedIndex };
+  return null;
+}
+
+// ---- Rate limits: token buckets + daily quotas per source / API key / client IP ----
+/**
+ * RATE_LIMITS (JSON or RATE_LIMITS_FILE), one block per dimension; "*" applies to every value
+ * that has no entry of its own (each value still gets its own bucket):
+ *   { "source": { "*": { "rate": 20, "burst": 40, "daily": 100000 }, "shop": { "rate": 100 } },
+ *     "key":    { "partner": { "rate": 5, "burst": 10 } },
+ *     "ip":     { "*": { "rate": 50, "burst": 100 } } }
+ * rate = tokens/second, burst = bucket size (default rate), daily = requests per UTC day.
+ * A request (or each batch item) costs one token in every matching bucket; nothing is taken
+ * unless all of them have room. State is saved to RATE_LIMIT_STATE_FILE on an interval.
+ *
+ * body.source is client-chosen, so under a "*" source rule an authenticated key is bucketed
+ * as its own source (value "key:<id>") unless the key is limited to the sent source. Buckets
+ * and quota entries are capped at RATE_LIMIT_MAX_KEYS each; the least recently used go first
+ * (an evicted value starts again with a full bucket / fresh daily count).
+ */
+const RATE_LIMIT_DIMENSIONS = ["source", "key", "ip"];
+let rateLimitRules = {}; // dimension -> { value|"*": { rate, burst, daily } }
+let rateLimitLoadError = null;
+const rateBuckets = new Map(); // `${dimension}:${value}` -> { tokens, updated_ms }
+const rateUsage = new Map(); // `${dimension}:${value}` -> { day, count }
+let rateLimitDirty = false;
+let rateLimitTimer = null;
+let rateLimitWriteChain = Promise.resolve();
+let rateLimitStats = { allowed: 0, limited: 0, quota_exceeded: 0, last_error: null };
+
+function rateLimitStatePath() {
+  return path.join(JSONL_DIR, RATE_LIMIT_STATE_FILE);
+}
+
+function loadRateLimitRules() {
+  try {
+    let raw = RATE_LIMITS_JSON;
+    if (!raw && RATE_LIMITS_FILE) raw = fs.readFileSync(RATE_LIMITS_FILE, "utf8");
+    const parsed = raw ? JSON.parse(raw) : {};
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      throw new Error("RATE_LIMITS must be a JSON object of dimension -> rules");
+    }
+
+    const next = {};
+    for (const [dim, rules] of Object.entries(parsed)) {
+      if (!RATE_LIMIT_DIMENSIONS.includes(dim)) throw new Error(`unknown dimension: ${dim}`);
+      next[dim] = {};
+      for (const [value, r] of Object.entries(rules || {})) {
+        const rate = Number(r?.rate || 0);
+        next[dim][value] = {
+          rate,
+          burst: Number(r?.burst || rate),
+          daily: Number(r?.daily || 0),
+        };
+      }
+    }
+
+    rateLimitRules = next;
+    rateLimitLoadError = null;
+  } catch (e) {
+    rateLimitLoadError = String(e?.message || e);
+    rateLimitRules = {};
+    logger.error("ratelimit.load_fail", { line: "RATE", error: rateLimitLoadError });
+  }
+}
+
+function utcDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function msUntilNextUtcDay(ms) {
+  const d = new Date(ms);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1) - ms;
+}
+
+// Map order doubles as recency: touched entries move to the end, the front is evicted
+function touchRateEntry(map, id, value) {
+  map.delete(id);
+  map.set(id, value);
+  while (map.size > RATE_LIMIT_MAX_KEYS) map.delete(map.keys().next().value);
+}
+
+function sourceRateValue(req, source) {
+  if (!req.auth?.key_id || rateLimitRules.source?.[source]) return source;
+  return req.auth.sources?.has(source) ? source : `key:${req.auth.key_id}`;
+}
+
+function rateSubjects(req, sources) {
+  const subjects = [];
+  for (const [source, cost] of sources) {
+    subjects.push({ dim: "source", value: sourceRateValue(req, source), cost });
+  }
+  const total = [...sources.values()].reduce((n, c) => n + c, 0) || 1;
+  if (req.auth?.key_id) subjects.push({ dim: "key", value: req.auth.key_id, cost: total });
+  subjects.push({ dim: "ip", value: req.ip || "unknown", cost: total });
+  return subjects;
+}
+
+function refillBucket(id, rule, now) {
+  let b = rateBuckets.get(id);
+  if (!b) {
+    b = { tokens: rule.burst, updated_ms: now };
+    touchRateEntry(rateBuckets, id, b);
+  }
+  b.tokens = Math.min(rule.burst, b.tokens + ((now - b.updated_ms) / 1000) * rule.rate);
+  b.updated_ms = now;
+  return b;
+}
+
+/**
+ * Checks every bucket/quota the subjects fall under; takes tokens only when all pass.
+ * Returns null (allowed) or { reason, dimension, value, retry_after_s }.
+ */
+function takeRateTokens(subjects, now) {
+  const day = utcDay(now);
+  const checks = [];
+
+  for (const s of subjects) {
+    const rules = rateLimitRules[s.dim];
+    const rule = rules?.[s.value] || rules?.["*"];
+    if (!rule) continue;
+    const id = `${s.dim}:${s.value}`;
+
+    if (rule.daily > 0) {
+      const u = rateUsage.get(id);
+      const used = u?.day === day ? u.count : 0;
+      if (used + s.cost > rule.daily) {
+        return {
+          reason: "QUOTA_EXCEEDED",
+          dimension: s.dim,
+          value: s.value,
+          retry_after_s: Math.ceil(msUntilNextUtcDay(now) / 1000),
+        };
+      }
+    }
+
+    let bucket = null;
+    if (rule.rate > 0) {
+      bucket = refillBucket(id, rule, now);
+      if (bucket.tokens < s.cost) {
+        // a cost above burst can never fit -> retry_after is still the time to a full bucket
+        const missing = Math.min(s.cost, rule.burst) - bucket.tokens;
+        return {
+          reason: "RATE_LIMITED",
+          dimension: s.dim,
+          value: s.value,
+          retry_after_s: Math.max(1, Math.ceil(missing / rule.rate)),
+        };
+      }
+    }
+    checks.push({ id, rule, cost: s.cost, bucket });
+  }
+
+  for (const { id, rule, cost, bucket } of checks) {
+    if (bucket) {
+      bucket.tokens -= cost;
+      touchRateEntry(rateBuckets, id, bucket);
+    }
+    if (rule.daily > 0) {
+      const u = rateUsage.get(id);
+      touchRateEntry(rateUsage, id, { day, count: (u?.day === day ? u.count : 0) + cost });
+    }
+  }
+  if (checks.length) rateLimitDirty = true;
+  return null;
+}
+
+/**
+ * Route middleware (after requireScope, so req.auth.key_id is known).
+ * `sourcesOf(req)` -> Map(source -> cost); batch routes charge one token per item.
+ */
+function rateLimit(sourcesOf) {
+  return (req, res, next) => {
+    if (RATE_LIMIT !== "ON") return next();
+
+    const hit = takeRateTokens(rateSubjects(req, sourcesOf(req)), Date.now());
+    if (!hit) {
+      rateLimitStats.allowed += 1;
+      return next();
+    }
+
+    if (hit.reason === "QUOTA_EXCEEDED") rateLimitStats.quota_exceeded += 1;
+    else rateLimitStats.limited += 1;
+    incCounter("itplaylab_rate_limited_total", { dimension: hit.dimension, reason: hit.reason });
+    req.log.warn("ratelimit.reject", {
+      line: "RATE",
+      reason: hit.reason,
+      dimension: hit.dimension,
+      value: hit.value,
+      retry_after_s: hit.retry_after_s,
+    });
+
+    res.set("Retry-After", String(hit.retry_after_s));
+    return res.status(429).json({
+      ok: false,
+      error: hit.reason,
+      detail: `${hit.dimension}=${hit.value} is over its ${
+        hit.reason === "QUOTA_EXCEEDED" ? "daily quota" : "rate limit"
+      }`,
+      retry_after_s: hit.retry_after_s,
+      trace_id: req.traceId,
+      mode: MODE_TAG,
+    });
+  };
+}
+
+function bodySource(req) {
+  return new Map([[String(req.body?.source || "-"), 1]]);
+}
+
+// single-event routes (/ingest, /events)
+const limitRate = rateLimit(bodySource);
+
+function batchSources(req) {
+  const { items } = parseBatchBody(req.body);
+  const out = new Map();
+  for (const item of items || []) {
+    const s = String(item?.source || "-");
+    out.set(s, (out.get(s) || 0) + 1);
+  }
+  return out;
+}
+
+// per (dimension, value) with a daily quota: today's usage, biggest first
+function quotaUsage(limit) {
+  const now = Date.now();
+  const day = utcDay(now);
+  const rows = [];
+  for (const [id, u] of rateUsage) {
+    if (u.day !== day) continue;
+    const [dim, ...rest] = id.split(":");
+    const value = rest.join(":");
+    const rule = rateLimitRules[dim]?.[value] || rateLimitRules[dim]?.["*"];
+    if (!rule?.daily) continue;
+    rows.push({
+      dimension: dim,
+      value,
+      used: u.count,
+      quota: rule.daily,
+      remaining: Math.max(0, rule.daily - u.count),
+    });
+  }
+  rows.sort((a, b) => b.used - a.used);
+  return {
+    day,
+    resets_at: new Date(now + msUntilNextUtcDay(now)).toISOString(),
+    entries: rows.slice(0, limit),
+    total_entries: rows.length,
+  };
+}
+
+// temp + rename; full idle buckets and past days are dropped on the way
+function saveRateLimitState() {
+  if (!rateLimitDirty) return rateLimitWriteChain;
+  rateLimitDirty = false;
+
+  const now = Date.now();
+  const day = utcDay(now);
+  for (const [id, u] of rateUsage) if (u.day !== day) rateUsage.delete(id);
+  for (const [id, b] of rateBuckets) {
+    const [dim, ...rest] = id.split(":");
+    const value = rest.join(":");
+    const rule = rateLimitRules[dim]?.[value] || rateLimitRules[dim]?.["*"];
+    if (!rule || refillBucket(id, rule, now).tokens >= rule.burst) rateBuckets.delete(id);
+  }
+
+  const snapshot = {
+    saved_at: new Date(now).toISOString(),
+    buckets: Object.fromEntries(rateBuckets),
+    usage: Object.fromEntries(rateUsage),
+  };
+
+  rateLimitWriteChain = rateLimitWriteChain
+    .then(async () => {
+      await writeStateFile(rateLimitStatePath(), snapshot);
+      rateLimitStats.last_error = null;
+      return { ok: true };
+    })
+    .catch((err) => {
+      rateLimitStats.last_error = String(err?.message || err);
+      return { ok: false, error: rateLimitStats.last_error };
+    });
+
+  return rateLimitWriteChain;
+}
+
+async function loadRateLimitState() {
+  if (RATE_LIMIT !== "ON") return;
+
+  const r = await readStateFile(rateLimitStatePath());
+  // corrupt -> quotas restart from zero; readStateFile already logged it
+  if (r.source === "corrupt") rateLimitStats.last_error = `state file corrupt (${r.error})`;
+
+  const st = r.state || {};
+  const day = utcDay(Date.now());
+  for (const [id, b] of Object.entries(st.buckets || {})) {
+    if (Number.isFinite(b?.tokens) && Number.isFinite(b?.updated_ms)) {
+      touchRateEntry(rateBuckets, id, b);
+    }
+  }
+  for (const [id, u] of Object.entries(st.usage || {})) {
+    if (u?.day === day && Number.isFinite(u.count)) touchRateEntry(rateUsage, id, u);
+  }
+  logger.info("ratelimit.loaded", {
+    line: "RATE",
+    buckets: rateBuckets.size,
+    quota_entries: rateUsage.size,
+  });
+}
+
+function startRateLimitSaverIfEnabled() {
+  if (RATE_LIMIT !== "ON") return;
+  rateLimitTimer = setInterval(saveRateLimitState, RATE_LIMIT_SAVE_INTERVAL_MS);
+}
+
+// ---- Line 3-A helper: POST to GAS (best-effort, timeout)
+// target = { url, secret, timeoutMs } (the gas sink passes its own; defaults to the env config)
+async function postToGASForSheets(eventForSheets, target = {}) {
+  const r = await postToGASOnce(eventForSheets, target);
+  incCounter("itplaylab_gas_requests_total", { code: gasResultCode(r) });
+  if (typeof r.latency_ms === "number") {
+    observeHistogram("itplaylab_gas_request_duration_seconds", {}, r.latency_ms / 1000);
+  }
+  return r;
+}
+
+async function postToGASOnce(
+  eventForSheets,
+  { url = GAS_WEBAPP_URL, secret = ITPLAYLAB_SECRET, timeoutMs = GAS_TIMEOUT_MS }
+) {
+  if (!url || !secret) {
+    return { ok: false, error: "missing_GAS_WEBAPP_URL_or_ITPLAYLAB_SECRET" };
+  }
+
+  const endpoint = buildGasUrl(url, secret);
+  const t0 = Date.now();
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    logger.debug("gas.post", {
+      line: "L3",
+      url: endpoint.replace(/__secret=([^&]+)/, "__secret=***"),
+    });
+    const res = await fetch(endpoint, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(eventForSheets),
+      signal: controller.signal,
+    });
+
+    const raw = await res.text();
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch {
+      data = { ok: false, error: "invalid_json_from_gas", raw };
+    }
+
+    return {
+  ok: Boolean(data?.ok),
+  status: res.status,
+  error: data?.error || (res.ok ? null : `http_${res.status}`),
+  latency_ms: Date.now() - t0,
+  data,
+};
+
+  } catch (err) {
+    const isAbort = String(err?.name || "").toLowerCase().includes("abort");
+    return {
+      ok: false,
+      error: isAbort ? "gas_timeout" : String(err?.message || err),
+      latency_ms: Date.now() - t0,
+    };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// ---- Sinks (delivery destinations) ----
+/**
+ * A sink wraps one destination behind { ready(), send(item), sendBatch?(items) }; send never
+ * throws and resolves to { ok, error, status?, latency_ms?, data? }. A batch that only partly
+ * failed reports data.failed_items; retries and the queue worker re-send just those.
+ *
+ * Pipelines:
+ * - "ingest": /ingest, /ingest/batch, /tg/webhook, forwarder, replay. One event at a time;
+ *   failures land in the JSONL fallback with `failed_sinks`, and replay only retries those.
+ * - "events": Stage D queue worker (batches). The first sink on this pipeline gets the queue.
+ * - "log": the sink tails the JSONL log with its own cursor (see Log sinks) and retries with
+ *   backoff in place; webhooks default to this.
+ *
+ * SINKS (JSON array) replaces the defaults:
+ *   [{ "name": "gas", "type": "gas" }, { "name": "sheets_api", "type": "sheets_api" }]
+ * Per sink: pipelines, sources / event_types (exact or trailing "*"), retry { attempts,
+ * backoff_ms }, plus type specific keys (gas: url, secret, timeout_ms; sheets_api: sheet_id,
+ * sheet_name, mapping; webhook: url, secret, headers, timeout_ms). Log pipeline only: from
+ * ("start" | "end"), backoff { base_ms, max_ms }, max_attempts, state_file.
+ */
+const SINK_TYPES = {
+  gas: createGasSink,
+  sheets_api: createSheetsApiSink,
+  webhook: createWebhookSink,
+};
+const SINK_DEFAULT_PIPELINES = { gas: ["ingest"], sheets_api: ["events"], webhook: ["log"] };
+let sinks = [];
+let sinksLoadError = null;
+
+function createGasSink(cfg) {
+  const target = {
+    url: cfg.url || GAS_WEBAPP_URL,
+    secret: cfg.secret || ITPLAYLAB_SECRET,
+    timeoutMs: Number(cfg.timeout_ms || GAS_TIMEOUT_MS),
+  };
+  return {
+    describe: () => ({ url_configured: Boolean(target.url), timeout_ms: target.timeoutMs }),
+    ready: () =>
+      target.url && target.secret ? null : "missing_GAS_WEBAPP_URL_or_ITPLAYLAB_SECRET",
+    send: (event) => postToGASForSheets(event, target),
+  };
+}
+
+function createSheetsApiSink(cfg) {
+  const sheetId = cfg.sheet_id || SHEET_ID;
+  const sheetName = cfg.sheet_name || EVENTS_SHEET_NAME;
+  // a bad per-sink mapping throws here -> SINKS load error; SHEETS_MAPPING was checked at boot
+  const mappingSource = cfg.mapping ? "sink" : sheetsMappingRaw ? "env" : "legacy";
+  const mapping =
+    mappingSource === "legacy"
+      ? legacySheetMapping(sheetName)
+      : compileSheetMapping(cfg.mapping || sheetsMappingRaw, sheetName);
+  const headersChecked = new Set(); // tabs whose header row matched once
+
+  async function append(items) {
+    const t0 = Date.now();
+    try {
+      const res = await appendBatchToSheet(items, { sheetId, mapping, headersChecked });
+      const data = { tabs: res.tabs, skipped: res.skipped };
+      if (res.failed_items.length > 0) {
+        data.failed_items = res.failed_items;
+        return { ok: false, error: res.error, latency_ms: Date.now() - t0, data };
+      }
+      return { ok: true, status: res.status, latency_ms: Date.now() - t0, data };
+    } catch (e) {
+      const error = e?.response?.data ? JSON.stringify(e.response.data) : e?.message || String(e);
+      return { ok: false, error, latency_ms: Date.now() - t0 };
+    }
+  }
+
+  return {
+    describe: () => ({
+      sheet_id_configured: Boolean(sheetId),
+      sheet_name: sheetName,
+      mapping: {
+        source: mappingSource,
+        header: mapping.header,
+        tabs: mapping.tabs.map((t) => ({
+          name: t.name,
+          event_types: t.event_types,
+          columns: t.columns.map((c) => c.header),
+        })),
+      },
+    }),
+    ready: () => {
+      if (!sheetId) return "SHEET_ID missing";
+      if (!sheetName) return "EVENTS_SHEET_NAME missing";
+      if (!SA_B64 && !SA_JSON_PLAIN) return "Service account JSON missing";
+      return null;
+    },
+    send: (item) => append([item]),
+    sendBatch: (items) => append(items),
+  };
+}
+
+function createWebhookSink(cfg) {
+  const target = {
+    url: String(cfg.url || ""),
+    secret: cfg.secret ? String(cfg.secret) : "",
+    headers: cfg.headers && typeof cfg.headers === "object" ? cfg.headers : {},
+    timeoutMs: Number(cfg.timeout_ms || WEBHOOK_TIMEOUT_MS),
+  };
+  return {
+    // header values may carry credentials -> names only
+    describe: () => ({
+      url_configured: Boolean(target.url),
+      signed: Boolean(target.secret),
+      header_names: Object.keys(target.headers),
+      timeout_ms: target.timeoutMs,
+    }),
+    ready: () => (target.url ? null : "webhook url missing"),
+    send: (event) => postWebhook(target, event),
+  };
+}
+
+// same signature scheme /ingest verifies: X-Signature = sha256=HMAC(secret, `${timestamp}.${body}`)
+async function postWebhook({ url, secret, headers, timeoutMs }, event) {
+  const body = JSON.stringify(event);
+  const ts = String(Math.floor(Date.now() / 1000));
+  const h = {
+    "content-type": "application/json",
+    ...headers,
+    "idempotency-key": String(event.job_id || ""),
+    "x-request-id": String(event.trace_id || ""),
+  };
+  if (secret) {
+    h["x-signature-timestamp"] = ts;
+    h["x-signature"] =
+      "sha256=" + crypto.createHmac("sha256", secret).update(`${ts}.`).update(body).digest("hex");
+  }
+
+  const t0 = Date.now();
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const res = await fetch(url, { method: "POST", headers: h, body, signal: controller.signal });
+    await res.arrayBuffer().catch(() => null);
+    return {
+      ok: res.ok,
+      status: res.status,
+      error: res.ok ? null : `http_${res.status}`,
+      latency_ms: Date.now() - t0,
+    };
+  } catch (err) {
+    const isAbort = String(err?.name || "").toLowerCase().includes("abort");
+    return {
+      ok: false,
+      error: isAbort ? "webhook_timeout" : String(err?.message || err),
+      latency_ms: Date.now() - t0,
+    };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function buildSink(cfg) {
+  const factory = SINK_TYPES[cfg?.type];
+  if (!factory) throw new Error(`unknown sink type: ${cfg?.type}`);
+
+  const name = String(cfg.name || cfg.type);
+  const pipelines = Array.isArray(cfg.pipelines) ? cfg.pipelines : SINK_DEFAULT_PIPELINES[cfg.type];
+  const impl = factory(cfg);
+  if (pipelines.includes("events") && !impl.sendBatch) {
+    throw new Error(`sink ${name}: type ${cfg.type} cannot serve the events pipeline`);
+  }
+
+  return {
+    name,
+    type: cfg.type,
+    pipelines,
+    sources: Array.isArray(cfg.sources) ? cfg.sources.map(String) : null,
+    event_types: Array.isArray(cfg.event_types) ? cfg.event_types.map(String) : null,
+    retry: {
+      attempts: Math.max(1, Number(cfg.retry?.attempts || 1)),
+      backoff_ms: Math.max(0, Number(cfg.retry?.backoff_ms || 0)),
+    },
+    cursor: pipelines.includes("log")
+      ? {
+          state_file: String(cfg.state_file || `sink_${name.replace(/[^\w-]/g, "_")}_state.json`),
+          from: cfg.from === "end" ? "end" : "start",
+          backoff_base_ms: Number(cfg.backoff?.base_ms || WEBHOOK_BACKOFF_BASE_MS),
+          backoff_max_ms: Number(cfg.backoff?.max_ms || WEBHOOK_BACKOFF_MAX_MS),
+          max_attempts: Number(cfg.max_attempts ?? WEBHOOK_MAX_ATTEMPTS),
+        }
+      : null,
+    impl,
+    stats: {
+      sent: 0,
+      failed: 0,
+      consecutive_failures: 0,
+      last_ok_at: null,
+      last_error: null,
+      last_error_at: null,
+    },
+  };
+}
+
+// a bad SINKS value keeps the defaults (and says so in /sinks + /health)
+function loadSinks() {
+  const defaults = [
+    { name: "gas", type: "gas" },
+    { name: "sheets_api", type: "sheets_api" },
+  ];
+
+  try {
+    const configs = SINKS ? JSON.parse(SINKS) : defaults;
+    if (!Array.isArray(configs)) throw new Error("SINKS must be a JSON array");
+
+    const next = configs.map(buildSink);
+    const names = new Set(next.map((s) => s.name));
+    if (names.size !== next.length) throw new Error("SINKS names must be unique");
+
+    sinks = next;
+    sinksLoadError = null;
+  } catch (e) {
+    sinksLoadError = String(e?.message || e);
+    sinks = defaults.map(buildSink);
+    logger.error("sinks.load_fail", { line: "SINK", error: sinksLoadError });
+  }
+}
+
+function sinkRuleMatches(list, value) {
+  if (!list) return true;
+  const v = String(value ?? "");
+  return list.some(
+    (p) => p === "*" || p === v || (p.endsWith("*") && v.startsWith(p.slice(0, -1)))
+  );
+}
+
+function sinksFor(pipeline, item) {
+  return sinks.filter(
+    (s) =>
+      s.pipelines.includes(pipeline) &&
+      sinkRuleMatches(s.sources, item?.source) &&
+      sinkRuleMatches(s.event_types, item?.event_type)
+  );
+}
+
+// per-sink retry policy; the caller's own fallback/backoff takes over after the last attempt
+async function sendToSink(sink, method, payload) {
+  let r;
+  const notReady = sink.impl.ready();
+  if (notReady) {
+    r = { ok: false, error: notReady };
+  } else {
+    for (let attempt = 1; attempt <= sink.retry.attempts; attempt++) {
+      try {
+        r = await sink.impl[method](payload);
+      } catch (e) {
+        r = { ok: false, error: e?.message || String(e) };
+      }
+      if (r.ok || attempt === sink.retry.attempts) break;
+      if (method === "sendBatch" && Array.isArray(r.data?.failed_items)) {
+        payload = r.data.failed_items;
+      }
+      await new Promise((resolve) =>
+        setTimeout(resolve, sink.retry.backoff_ms * Math.pow(2, attempt - 1))
+      );
+    }
+  }
+
+  const now = new Date().toISOString();
+  if (r.ok) {
+    sink.stats.sent += 1;
+    sink.stats.consecutive_failures = 0;
+    sink.stats.last_ok_at = now;
+  } else {
+    sink.stats.failed += 1;
+    sink.stats.consecutive_failures += 1;
+    sink.stats.last_error = r.error || r.data?.error || "sink_fail";
+    sink.stats.last_error_at = now;
+  }
+  incCounter("itplaylab_sink_deliveries_total", { sink: sink.name, result: r.ok ? "ok" : "fail" });
+  if (typeof r.latency_ms === "number") {
+    observeHistogram(
+      "itplaylab_sink_delivery_duration_seconds",
+      { sink: sink.name },
+      r.latency_ms / 1000
+    );
+  }
+  return r;
+}
+
+function sinkView(s) {
+  return {
+    name: s.name,
+    type: s.type,
+    pipelines: s.pipelines,
+    sources: s.sources,
+    event_types: s.event_types,
+    retry: s.retry,
+    ready: s.impl.ready() === null,
+    not_ready_reason: s.impl.ready() || undefined,
+    ...s.impl.describe(),
+    cursor: s.cursor || undefined,
+    stats: s.stats,
+    delivery: s.cursor ? logSinkRuntimeFor(s).stats : undefined,
+  };
+}
+
+// ---- Line 3-B helper: JSONL (durable fallback) ----
+let jsonlWriteChain = Promise.resolve();
+
+function jsonlPath() {
+  return path.join(JSONL_DIR, JSONL_FILE);
+}
+
+async function ensureDirExists(dir) {
+  await fs.promises.mkdir(dir, { recursive: true });
+}
+
+// ---- crash-safe file writes ----
+// Rewrites go to <file>.tmp, are fsynced, then renamed over the target (and the directory
+// fsynced), so a crash leaves either the old or the new file, never a torn one.
+async function fsyncDir(dir) {
+  let fd;
+  try {
+    fd = await fs.promises.open(dir, "r");
+    await fd.sync();
+  } catch {
+    // directories can't be fsynced everywhere (e.g. Windows); the rename is still atomic
+  } finally {
+    await fd?.close();
+  }
+}
+
+async function writeFileAtomic(p, body, { keepPrev = false } = {}) {
+  const tmp = `${p}.tmp`;
+  const fd = await fs.promises.open(tmp, "w");
+  try {
+    await fd.writeFile(body, "utf8");
+    await fd.sync();
+  } finally {
+    await fd.close();
+  }
+  if (keepPrev) {
+    // a crash between the two renames leaves only <file>.prev, which readStateFile accepts
+    await fs.promises.rename(p, `${p}.prev`).catch(() => {});
+  }
+  await fs.promises.rename(tmp, p);
+  await fsyncDir(path.dirname(p));
+}
+
+// State files carry a sha256 of their own body; the previous good version is kept as .prev.
+function stateChecksum(obj) {
+  return sha256(JSON.stringify(obj));
+}
+
+async function writeStateFile(p, obj) {
+  await ensureDirExists(path.dirname(p));
+  const body = JSON.stringify({ ...obj, checksum: stateChecksum(obj) }, null, 2);
+  await writeFileAtomic(p, body, { keepPrev: true });
+}
+
+async function readCheckedState(p) {
+  let raw;
+  try {
+    raw = await fs.promises.readFile(p, "utf8");
+  } catch (e) {
+    if (e?.code === "ENOENT") return { ok: false, missing: true };
+    return { ok: false, error: String(e?.message || e) };
+  }
+
+  let st;
+  try {
+    st = JSON.parse(raw);
+  } catch {
+    return { ok: false, error: "unparsable" };
+  }
+  if (!st || typeof st !== "object" || Array.isArray(st)) {
+    return { ok: false, error: "not_an_object" };
+  }
+
+  // files written before checksums were added are taken as-is
+  if (st.checksum === undefined) return { ok: true, state: st };
+  const { checksum, ...rest } = st;
+  if (checksum !== stateChecksum(rest)) return { ok: false, error: "checksum_mismatch" };
+  return { ok: true, state: rest };
+}
+
+const stateFileWarned = new Set();
+
+/**
+ * -> { state, source: "file" | "prev" | "none" | "corrupt", error }
+ * "none" means first boot. "corrupt" means neither the file nor its .prev verified; callers
+ * must not start over from scratch on their own (move both files away to do that).
+ */
+async function readStateFile(p) {
+  const cur = await readCheckedState(p);
+  if (cur.ok) {
+    stateFileWarned.delete(p);
+    return { state: cur.state, source: "file", error: null };
+  }
+
+  const prev = await readCheckedState(`${p}.prev`);
+  if (cur.missing && prev.missing) return { state: null, source: "none", error: null };
+
+  const error = cur.missing ? null : cur.error;
+  if (prev.ok) {
+    if (error && !stateFileWarned.has(p)) {
+      stateFileWarned.add(p);
+      logger.warn("state.recovered_prev", { path: p, error });
+    }
+    return { state: prev.state, source: "prev", error };
+  }
+
+  if (!stateFileWarned.has(p)) {
+    stateFileWarned.add(p);
+    logger.error("state.corrupt", { path: p, error: error || prev.error, prev_error: prev.error });
+  }
+  return { state: null, source: "corrupt", error: error || prev.error };
+}
+
+async function rotateIfNeeded(filePath) {
+  try {
+    const st = await fs.promises.stat(filePath);
+    if (st.size < JSONL_MAX_BYTES) return;
+
+    // the interval timer only ever syncs the live file
+    if (jsonlUnsynced) await fsyncJsonl(filePath);
+
+    const rotated = `${filePath}.${new Date().toISOString().replace(/[:.]/g, "-")}.bak`;
+    await fs.promises.rename(filePath, rotated);
+    incCounter("itplaylab_jsonl_rotations_total");
+
+    if (JSONL_QUERY_INDEX === "ON") {
+      const base = path.basename(rotated);
+      buildSegmentIndex({ path: rotated, base, compressed: false }).catch((e) => {
+        logger.warn("jsonl.index.build_fail", { line: "3-B", segment: base, error: e });
+      });
+    }
+  } catch {
+    // file not found -> ignore
+  }
+}
+
+function appendJsonl(record) {
+  return appendJsonlBatch([record]);
+}
+
+function recordJsonlTimeline(records, r) {
+  for (const rec of records) {
+    recordJobEvent(rec, "jsonl.written", {
+      stage: rec.stage,
+      ok: r.ok,
+      reason: rec.reason,
+      error: r.ok ? undefined : r.error,
+    });
+  }
+}
+
+// all records land in one appendFile call (one chain step, no interleaving)
+function appendJsonlBatch(records) {
+  if (!JSONL_ENABLED) {
+    return Promise.resolve({ ok: false, skipped: true, reason: "jsonl_disabled" });
+  }
+  if (records.length === 0) return Promise.resolve({ ok: true, skipped: true });
+
+  const filePath = jsonlPath();
+  const line = records.map((r) => JSON.stringify(r) + "\n").join("");
+
+  jsonlWriteChain = jsonlWriteChain
+    .then(async () => {
+      await ensureDirExists(JSONL_DIR);
+      await rotateIfNeeded(filePath);
+      if (JSONL_FSYNC === "WRITE") {
+        const fd = await fs.promises.open(filePath, "a");
+        try {
+          await fd.appendFile(line, "utf8");
+          await fd.datasync();
+          incCounter("itplaylab_jsonl_fsyncs_total");
+        } finally {
+          await fd.close();
+        }
+      } else {
+        await fs.promises.appendFile(filePath, line, "utf8");
+        if (JSONL_FSYNC === "INTERVAL") jsonlUnsynced = true;
+      }
+
+      incCounter("itplaylab_jsonl_written_bytes_total", {}, Buffer.byteLength(line, "utf8"));
+      for (const r of records) {
+        incCounter("itplaylab_jsonl_records_total", { stage: String(r.stage || "unknown") });
+      }
+      recordJsonlTimeline(records, { ok: true });
+      return { ok: true };
+    })
+    .catch((err) => {
+      incCounter("itplaylab_jsonl_write_errors_total");
+      const out = { ok: false, error: String(err?.message || err) };
+      recordJsonlTimeline(records, out);
+      return out;
+    });
+
+  return jsonlWriteChain;
+}
+
+// ---- Line 3-B helper: JSONL fsync (JSONL_FSYNC=INTERVAL) ----
+let jsonlUnsynced = false;
+let jsonlFsyncTimer = null;
+const jsonlFsyncStats = { syncs: 0, last_sync_at: null, last_error: null };
+
+async function fsyncJsonl(filePath) {
+  jsonlUnsynced = false;
+  let fd;
+  try {
+    fd = await fs.promises.open(filePath, "r");
+    await fd.datasync();
+    incCounter("itplaylab_jsonl_fsyncs_total");
+    jsonlFsyncStats.syncs += 1;
+    jsonlFsyncStats.last_sync_at = safeNowIso();
+    jsonlFsyncStats.last_error = null;
+  } catch (e) {
+    jsonlUnsynced = true;
+    jsonlFsyncStats.last_error = String(e?.message || e);
+  } finally {
+    await fd?.close();
+  }
+}
+
+// runs inside jsonlWriteChain so it never races a rotation
+function syncJsonl() {
+  if (!jsonlUnsynced) return jsonlWriteChain;
+  const filePath = jsonlPath();
+  jsonlWriteChain = jsonlWriteChain.then(async (r) => {
+    await fsyncJsonl(filePath);
+    return r;
+  });
+  return jsonlWriteChain;
+}
+
+function startJsonlFsyncIfEnabled() {
+  if (!JSONL_ENABLED || JSONL_FSYNC !== "INTERVAL") return;
+  jsonlFsyncTimer = setInterval(syncJsonl, JSONL_FSYNC_INTERVAL_MS);
+}
+
+// ---- Line 3-C-lite helper: JSONL segments (rotated .bak files, then the live file) ----
+// Readers (replay, forwarder) keep a cursor of segment id (dev:inode) + offset. A rename keeps
+// the inode, so a cursor on the live file follows it into its .bak after rotation.
+async function listJsonlSegments() {
+  let names;
+  try {
+    names = await fs.promises.readdir(JSONL_DIR);
+  } catch {
+    return [];
+  }
+
+  // rotated names carry an ISO timestamp -> lexical order is rotation order
+  const rotated = names.filter((n) => n.startsWith(`${JSONL_FILE}.`) && n.endsWith(".bak")).sort();
+
+  const segments = [];
+  for (const name of [...rotated, JSONL_FILE]) {
+    const p = path.join(JSONL_DIR, name);
+    try {
+      const st = await fs.promises.stat(p);
+      segments.push({
+        name,
+        path: p,
+        id: `${st.dev}:${st.ino}`,
+        size: st.size,
+        live: name === JSONL_FILE,
+      });
+    } catch {
+      // not created yet / removed meanwhile
+    }
+  }
+  return segments;
+}
+
+// first segment newer than `after` (a rotated name); the live file when none is
+function nextSegmentAfter(segments, after) {
+  return segments.find((s) => s.live || !after || s.name > after) || null;
+}
+
+function bindCursor(state, seg, offset) {
+  state.segment_id = seg.id;
+  state.segment_name = seg.name;
+  state.offset = offset;
+  clearReplayHead(state);
+}
+
+/**
+ * Points `state` at the segment to read next and returns it (null = no JSONL at all).
+ * Drained rotated segments are skipped, a vanished segment resumes at the next one,
+ * and an offset past the end of its own segment is treated as truncation.
+ */
+async function resolveJsonlCursor(state, reader) {
+  const segments = await listJsonlSegments();
+  if (segments.length === 0) return null;
+
+  let seg = state.segment_id ? segments.find((s) => s.id === state.segment_id) : null;
+
+  if (!state.segment_id) {
+    const rotated = segments.filter((s) => !s.live);
+    const live = segments.find((s) => s.live);
+
+    if (!state.updated_at) {
+      // no state yet -> start from the oldest segment
+      seg = segments[0];
+      bindCursor(state, seg, 0);
+    } else {
+      // offset-only state from before segment tracking: it pointed at the live file,
+      // or at the newest .bak if the live file has rotated since
+      seg = live && state.offset <= live.size ? live : rotated[rotated.length - 1] || live;
+      const older = rotated.filter((s) => s.name < seg.name || seg.live);
+      state.drained_through = older.length ? older[older.length - 1].name : null;
+      bindCursor(state, seg, state.offset);
+    }
+  } else if (!seg) {
+    seg = nextSegmentAfter(segments, state.drained_through);
+    logger.warn("jsonl.segment_lost", {
+      line: "3-C-lite",
+      reader,
+      segment: state.segment_name,
+      offset: state.offset,
+      resume_at: seg?.name,
+    });
+    if (!seg) return null;
+    bindCursor(state, seg, 0);
+  }
+
+  if (state.offset > seg.size) {
+    logger.warn("jsonl.truncated", {
+      line: "3-C-lite",
+      reader,
+      segment: seg.name,
+      offset: state.offset,
+      size: seg.size,
+    });
+    state.truncations = Number(state.truncations || 0) + 1;
+    state.last_truncation_at = new Date().toISOString();
+    bindCursor(state, seg, 0);
+  }
+
+  while (!seg.live && state.offset >= seg.size) {
+    state.drained_through = seg.name;
+    const next = nextSegmentAfter(segments, seg.name);
+    if (!next) break;
+    seg = next;
+    bindCursor(state, seg, 0);
+  }
+
+  state.segment_name = seg.name;
+  return seg;
+}
+
+// per-segment bytes still ahead of a cursor (for status endpoints / metrics)
+async function jsonlBacklog(state) {
+  const segments = await listJsonlSegments();
+  const idx = segments.findIndex((s) => s.id === state.segment_id);
+
+  const rows = segments.map((s, i) => {
+    let status;
+    if (idx === -1) {
+      status =
+        !s.live && state.drained_through && s.name <= state.drained_through ? "drained" : "pending";
+    } else {
+      status = i < idx ? "drained" : i === idx ? "current" : "pending";
+    }
+    const behind = status === "drained" ? 0 : status === "current" ? s.size - state.offset : s.size;
+    return {
+      name: s.name,
+      live: s.live,
+      size: s.size,
+      status,
+      bytes_behind: Math.max(0, behind),
+    };
+  });
+
+  return {
+    bytes_behind: rows.reduce((n, r) => n + r.bytes_behind, 0),
+    segments: rows,
+  };
+}
+
+// ---- Line 3-B helper: JSONL retention (gzip + prune closed segments) ----
+let retentionTimer = null;
+let retentionBusy = false;
+let retentionStats = {
+  runs: 0,
+  compressed: 0,
+  pruned: 0,
+  pruned_bytes: 0,
+  blocked: 0,
+  last_run_at: null,
+  last_error: null,
+};
+const segmentMetaCache = new Map(); // `${name}:${size}:${mtimeMs}` -> { records, first_ts, last_ts }
+
+// rotated segments only, oldest first; `.bak.gz` are compressed ones
+async function listClosedSegments() {
+  let names;
+  try {
+    names = await fs.promises.readdir(JSONL_DIR);
+  } catch {
+    return [];
+  }
+
+  const out = [];
+  for (const name of names.sort()) {
+    if (!name.startsWith(`${JSONL_FILE}.`)) continue;
+    if (!name.endsWith(".bak") && !name.endsWith(".bak.gz")) continue;
+    const p = path.join(JSONL_DIR, name);
+    try {
+      const st = await fs.promises.stat(p);
+      out.push({
+        name,
+        path: p,
+        id: `${st.dev}:${st.ino}`,
+        size: st.size,
+        mtime_ms: st.mtimeMs,
+        compressed: name.endsWith(".gz"),
+      });
+    } catch {
+      // removed meanwhile
+    }
+  }
+  return out;
+}
+
+// names of segments an active reader has not fully drained yet
+async function protectedSegmentNames() {
+  const readers = [];
+  if (settings.REPLAY_ENABLED === "ON") readers.push(await loadReplayState());
+  if (INGEST_ASYNC_ENABLED) readers.push(await loadOffsetState(forwarderStatePath()));
+  for (const sink of logSinks()) readers.push(await loadOffsetState(logSinkStatePath(sink)));
+
+  const names = new Set();
+  for (const state of readers) {
+    for (const s of (await jsonlBacklog(state)).segments) {
+      if (s.status !== "drained") names.add(s.name);
+    }
+  }
+  return names;
+}
+
+async function gzipSegment(seg) {
+  const target = `${seg.path}.gz`;
+  const tmp = `${target}.tmp`;
+  await pipeline(fs.createReadStream(seg.path), zlib.createGzip(), fs.createWriteStream(tmp));
+  // keep the rotation time so max-age still counts from when the segment was closed
+  await fs.promises.utimes(tmp, new Date(), new Date(seg.mtime_ms));
+  await fs.promises.rename(tmp, target);
+  await fs.promises.unlink(seg.path);
+}
+
+function logRetention(event, extra) {
+  const level = event === "jsonl.retention_blocked" ? "warn" : "info";
+  logger[level](event, { line: "3-B", ...extra });
+}
+
+async function retentionTickOnce() {
+  retentionStats.runs += 1;
+  retentionStats.last_run_at = new Date().toISOString();
+
+  if (!JSONL_ENABLED) return { ok: true, skipped: true, reason: "jsonl_disabled" };
+  if (retentionBusy) return { ok: true, skipped: true, reason: "retention_busy" };
+
+  retentionBusy = true;
+
+  try {
+    const isProtected = await protectedSegmentNames();
+    let compressed = 0;
+
+    if (JSONL_COMPRESS === "ON") {
+      for (const seg of await listClosedSegments()) {
+        if (seg.compressed || isProtected.has(seg.name)) continue;
+        await gzipSegment(seg);
+        compressed += 1;
+        retentionStats.compressed += 1;
+        incCounter("itplaylab_jsonl_segments_compressed_total");
+        logRetention("jsonl.segment_compressed", { segment: seg.name, bytes: seg.size });
+      }
+    }
+
+    const segments = await listClosedSegments();
+    let liveBytes = 0;
+    try {
+      liveBytes = (await fs.promises.stat(jsonlPath())).size;
+    } catch {
+      // no live file yet
+    }
+    let totalBytes = liveBytes + segments.reduce((n, s) => n + s.size, 0);
+    let count = segments.length;
+    const now = Date.now();
+
+    const pruned = [];
+    let blocked = null;
+
+    // oldest first; readers drain in the same order, so the first protected one ends the sweep
+    for (const seg of segments) {
+      const overCount = JSONL_RETENTION_MAX_SEGMENTS > 0 && count > JSONL_RETENTION_MAX_SEGMENTS;
+      const overBytes = JSONL_RETENTION_MAX_BYTES > 0 && totalBytes > JSONL_RETENTION_MAX_BYTES;
+      const overAge =
+        JSONL_RETENTION_MAX_AGE_MS > 0 && now - seg.mtime_ms > JSONL_RETENTION_MAX_AGE_MS;
+      if (!overCount && !overBytes && !overAge) break;
+
+      const reason = overCount ? "max_segments" : overBytes ? "max_bytes" : "max_age";
+      if (isProtected.has(seg.name.replace(/\.gz$/, ""))) {
+        blocked = { segment: seg.name, reason };
+        break;
+      }
+
+      await fs.promises.unlink(seg.path);
+      await fs.promises.rm(segmentIndexPath(seg.name.replace(/\.gz$/, "")), { force: true });
+      totalBytes -= seg.size;
+      count -= 1;
+      pruned.push(seg.name);
+      retentionStats.pruned += 1;
+      retentionStats.pruned_bytes += seg.size;
+      incCounter("itplaylab_jsonl_segments_pruned_total", { reason });
+      logRetention("jsonl.segment_pruned", { segment: seg.name, bytes: seg.size, reason });
+    }
+
+    if (blocked) {
+      // a limit is exceeded but the segment still holds unreplayed/unforwarded records
+      retentionStats.blocked += 1;
+      logRetention("jsonl.retention_blocked", blocked);
+    }
+
+    retentionStats.last_error = null;
+    return { ok: true, compressed, pruned, blocked, total_bytes: totalBytes, segments: count };
+  } catch (e) {
+    const msg = e?.message || String(e);
+    retentionStats.last_error = msg;
+    return { ok: false, error: msg };
+  } finally {
+    retentionBusy = false;
+  }
+}
+
+function retentionConfigured() {
+  return (
+    JSONL_COMPRESS === "ON" ||
+    JSONL_RETENTION_MAX_BYTES > 0 ||
+    JSONL_RETENTION_MAX_AGE_MS > 0 ||
+    JSONL_RETENTION_MAX_SEGMENTS > 0
+  );
+}
+
+function startRetentionIfEnabled() {
+  if (!JSONL_ENABLED || !retentionConfigured()) {
+    logger.info("retention.disabled", { line: "3-B", reason: "no_limits_configured" });
+    return;
+  }
+  logger.info("retention.enabled", {
+    line: "3-B",
+    interval_ms: JSONL_RETENTION_INTERVAL_MS,
+    compress: JSONL_COMPRESS,
+    max_bytes: JSONL_RETENTION_MAX_BYTES,
+    max_age_ms: JSONL_RETENTION_MAX_AGE_MS,
+    max_segments: JSONL_RETENTION_MAX_SEGMENTS,
+  });
+  retentionTimer = setInterval(() => {
+    retentionTickOnce().catch((e) => {
+      logger.error("retention.fatal", { line: "3-B", error: e });
+    });
+  }, JSONL_RETENTION_INTERVAL_MS);
+}
+
+// records + time range of one segment (streamed; cached until the file changes)
+async function segmentMeta(p, compressed, size, mtimeMs) {
+  const key = `${path.basename(p)}:${size}:${mtimeMs}`;
+  if (segmentMetaCache.has(key)) return segmentMetaCache.get(key);
+
+  let input = fs.createReadStream(p);
+  if (compressed) input = input.pipe(zlib.createGunzip());
+
+  const meta = { records: 0, first_ts: null, last_ts: null };
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const l of rl) {
+    if (!l) continue;
+    try {
+      const rec = JSON.parse(l);
+      meta.records += 1;
+      const ts = rec.ts || rec.received_at || null;
+      if (ts && !meta.first_ts) meta.first_ts = ts;
+      if (ts) meta.last_ts = ts;
+    } catch {
+      // skip bad line
+    }
+  }
+
+  // live file changes on every write; only keep closed segments around
+  for (const k of segmentMetaCache.keys()) {
+    if (k.startsWith(`${path.basename(p)}:`)) segmentMetaCache.delete(k);
+  }
+  segmentMetaCache.set(key, meta);
+  return meta;
+}
+
+// ---- Line 3-B helper: JSONL query (filters + cursor paging across segments) ----
+// Cursor = { s: segment name without .gz, i: segment id, o: offset just past the last returned
+// record }. Offsets in .bak.gz segments are positions in the decompressed stream.
+const QUERY_FILTER_FIELDS = ["trace_id", "job_id", "source", "event_type", "stage"];
+
+function encodeQueryCursor(c) {
+  return Buffer.from(JSON.stringify(c), "utf8").toString("base64url");
+}
+
+function decodeQueryCursor(raw) {
+  try {
+    const c = JSON.parse(Buffer.from(String(raw), "base64url").toString("utf8"));
+    if (typeof c?.s !== "string" || !Number.isFinite(c?.o) || c.o < 0) return null;
+    return c;
+  } catch {
+    return null;
+  }
+}
+
+function recordTimeMs(rec) {
+  const t = Date.parse(rec?.ts || rec?.received_at || "");
+  return Number.isFinite(t) ? t : null;
+}
+
+function matchesQuery(rec, q) {
+  for (const f of QUERY_FILTER_FIELDS) {
+    if (q[f] !== undefined && String(rec?.[f] ?? "") !== q[f]) return false;
+  }
+  if (q.since === null && q.until === null) return true;
+
+  const t = recordTimeMs(rec);
+  if (t === null) return false;
+  if (q.since !== null && t < q.since) return false;
+  if (q.until !== null && t > q.until) return false;
+  return true;
+}
+
+// all segments in read order: rotated (.bak / .bak.gz) oldest first, then the live file
+async function listQuerySegments() {
+  const segments = (await listClosedSegments()).map((s) => ({
+    ...s,
+    base: s.name.replace(/\.gz$/, ""),
+    live: false,
+  }));
+  try {
+    const st = await fs.promises.stat(jsonlPath());
+    segments.push({
+      name: JSONL_FILE,
+      base: JSONL_FILE,
+      path: jsonlPath(),
+      id: `${st.dev}:${st.ino}`,
+      size: st.size,
+      mtime_ms: st.mtimeMs,
+      compressed: false,
+      live: true,
+    });
+  } catch {
+    // no live file yet
+  }
+  return segments;
+}
+
+async function* segmentEntries(seg, fromOffset) {
+  if (!seg.compressed) {
+    let offset = fromOffset;
+    for (;;) {
+      const r = await readJsonlFromOffset(seg.path, offset, settings.REPLAY_MAX_BYTES_PER_TICK);
+      if (r.newOffset === offset) return;
+      yield* r.entries;
+      offset = r.newOffset;
+    }
+  }
+
+  let pos = 0; // absolute offset of buf[0]
+  let carry = Buffer.alloc(0);
+  const src = fs.createReadStream(seg.path);
+  try {
+    for await (const chunk of src.pipe(zlib.createGunzip())) {
+      const buf = carry.length ? Buffer.concat([carry, chunk]) : chunk;
+      let start = 0;
+      let nl;
+      while ((nl = buf.indexOf(0x0a, start)) !== -1) {
+        const end = pos + nl + 1;
+        if (end > fromOffset && nl > start) {
+          let rec = null;
+          try {
+            rec = JSON.parse(buf.toString("utf8", start, nl));
+          } catch {
+            // skip bad line
+          }
+          if (rec) yield { rec, end };
+        }
+        start = nl + 1;
+      }
+      carry = buf.subarray(start);
+      pos += start;
+    }
+  } finally {
+    // early return (page full) must not leak the file handle
+    src.destroy();
+  }
+}
+
+// ---- optional per-segment index (closed segments only; they never change) ----
+function segmentIndexPath(base) {
+  return path.join(JSONL_INDEX_DIR, `${base}.idx.json`);
+}
+
+async function buildSegmentIndex(seg) {
+  const values = Object.fromEntries(QUERY_FILTER_FIELDS.map((f) => [f, new Set()]));
+  const idx = { segment: seg.base, records: 0, min_ts_ms: null, max_ts_ms: null };
+
+  for await (const { rec } of segmentEntries(seg, 0)) {
+    idx.records += 1;
+    for (const f of QUERY_FILTER_FIELDS) {
+      if (rec[f] !== undefined && rec[f] !== null) values[f].add(String(rec[f]));
+    }
+    const t = recordTimeMs(rec);
+    if (t !== null) {
+      idx.min_ts_ms = idx.min_ts_ms === null ? t : Math.min(idx.min_ts_ms, t);
+      idx.max_ts_ms = idx.max_ts_ms === null ? t : Math.max(idx.max_ts_ms, t);
+    }
+  }
+  idx.values = Object.fromEntries(QUERY_FILTER_FIELDS.map((f) => [f, [...values[f]]]));
+
+  await ensureDirExists(JSONL_INDEX_DIR);
+  const p = segmentIndexPath(seg.base);
+  await writeFileAtomic(p, JSON.stringify(idx));
+  return idx;
+}
+
+async function loadSegmentIndex(seg) {
+  try {
+    return JSON.parse(await fs.promises.readFile(segmentIndexPath(seg.base), "utf8"));
+  } catch {
+    return buildSegmentIndex(seg);
+  }
+}
+
+// false = the index proves no record in this segment can match
+function indexMayMatch(idx, q) {
+  if (q.since !== null && (idx.max_ts_ms === null || idx.max_ts_ms < q.since)) return false;
+  if (q.until !== null && (idx.min_ts_ms === null || idx.min_ts_ms > q.until)) return false;
+  for (const f of QUERY_FILTER_FIELDS) {
+    if (q[f] !== undefined && !idx.values?.[f]?.includes(q[f])) return false;
+  }
+  return true;
+}
+
+async function queryJsonl(q, cursor, limit) {
+  const segments = await listQuerySegments();
+
+  // resume where the cursor left off: same file (by id, survives rotation), else by name
+  let startIdx = 0;
+  let startOffset = 0;
+  if (cursor) {
+    let i = segments.findIndex((s) => cursor.i && s.id === cursor.i);
+    if (i === -1) i = segments.findIndex((s) => s.base === cursor.s);
+    if (i !== -1) {
+      startIdx = i;
+      startOffset = cursor.o;
+    } else {
+      // segment pruned since -> next one in read order
+      const liveCursor = cursor.s === JSONL_FILE;
+      i = segments.findIndex((s) => s.live || (!liveCursor && s.base > cursor.s));
+      startIdx = i === -1 ? segments.length : i;
+    }
+  }
+
+  const items = [];
+  let scannedBytes = 0;
+  let segmentsScanned = 0;
+  let segmentsSkipped = 0;
+  let next = null;
+  let error = null;
+
+  for (let i = startIdx; i < segments.length && !next; i++) {
+    const seg = segments[i];
+    let offset = i === startIdx ? startOffset : 0;
+
+    if (JSONL_QUERY_INDEX === "ON" && !seg.live && offset === 0) {
+      try {
+        if (!indexMayMatch(await loadSegmentIndex(seg), q)) {
+          segmentsSkipped += 1;
+          continue;
+        }
+      } catch {
+        // no usable index -> scan
+      }
+    }
+
+    segmentsScanned += 1;
+    try {
+      for await (const { rec, end } of segmentEntries(seg, offset)) {
+        scannedBytes += end - offset;
+        offset = end;
+
+        if (matchesQuery(rec, q)) items.push({ segment: seg.name, offset: end, record: rec });
+
+        if (items.length >= limit || scannedBytes >= JSONL_QUERY_MAX_SCAN_BYTES) {
+          next = { s: seg.base, i: seg.id, o: end };
+          break;
+        }
+      }
+    } catch (e) {
+      // rotated/compressed/pruned mid-scan: hand back a cursor so the caller can retry
+      error = e?.message || String(e);
+      next = { s: seg.base, i: seg.id, o: offset };
+    }
+  }
+
+  return {
+    items,
+    next_cursor: next ? encodeQueryCursor(next) : null,
+    scan_capped: Boolean(next) && items.length < limit && !error,
+    scanned_bytes: scannedBytes,
+    segments_scanned: segmentsScanned,
+    segments_skipped: segmentsSkipped,
+    error,
+  };
+}
+
+// ---- Line 3-C-lite helper: replay state + read from offset ----
+function replayStatePath() {
+  return path.join(JSONL_DIR, REPLAY_STATE_FILE);
+}
+
+async function loadReplayState() {
+  return loadOffsetState(replayStatePath());
+}
+
+async function saveReplayState(state) {
+  return saveOffsetState(replayStatePath(), state);
+}
+
+// offset state files (replay worker, async forwarder) share one shape
+async function loadOffsetState(p) {
+  const r = await readStateFile(p);
+  const st = r.state || {};
+  return {
+    segment_id: st.segment_id || null,
+    segment_name: st.segment_name || null,
+    offset: Number(st.offset || 0),
+    drained_through: st.drained_through || null,
+    truncations: Number(st.truncations || 0),
+    last_truncation_at: st.last_truncation_at || null,
+    updated_at: st.updated_at || null,
+    last_error: st.last_error || null,
+    sent: Number(st.sent || 0),
+    failed: Number(st.failed || 0),
+    head_offset: st.head_offset ?? null,
+    head_attempts: Number(st.head_attempts || 0),
+    head_first_failed_at: st.head_first_failed_at || null,
+    head_next_attempt_at: Number(st.head_next_attempt_at || 0),
+    head_sinks_done: Array.isArray(st.head_sinks_done) ? st.head_sinks_done : [],
+    // set -> the reader halts instead of starting over at offset 0
+    corrupt: r.source === "corrupt" ? r.error : undefined,
+  };
+}
+
+async function saveOffsetState(p, state) {
+  await writeStateFile(p, {
+    segment_id: state.segment_id || null,
+    segment_name: state.segment_name || null,
+    offset: Number(state.offset || 0),
+    drained_through: state.drained_through || null,
+    truncations: Number(state.truncations || 0),
+    last_truncation_at: state.last_truncation_at || null,
+    updated_at: new Date().toISOString(),
+    last_error: state.last_error || null,
+    sent: Number(state.sent || 0),
+    failed: Number(state.failed || 0),
+    head_offset: state.head_offset ?? null,
+    head_attempts: Number(state.head_attempts || 0),
+    head_first_failed_at: state.head_first_failed_at || null,
+    head_next_attempt_at: Number(state.head_next_attempt_at || 0),
+    head_sinks_done: state.head_sinks_done || [],
+  });
+}
+
+// a corrupt cursor is never reset implicitly (that would resend the whole log)
+function assertStateUsable(state, p) {
+  if (!state.corrupt) return;
+  const name = path.basename(p);
+  throw new Error(`${name} is corrupt (${state.corrupt}); repair or remove it and ${name}.prev`);
+}
+
+let jsonlSkippedRecords = 0;
+
+// absolute offset of the next "\n" at or after `from`, or -1 (scanned in 64KB steps)
+async function findNewline(fd, from, size) {
+  const buf = Buffer.alloc(65536);
+  for (let pos = from; pos < size; pos += buf.length) {
+    const { bytesRead } = await fd.read(buf, 0, Math.min(buf.length, size - pos), pos);
+    const nl = buf.subarray(0, bytesRead).indexOf(0x0a);
+    if (nl !== -1) return pos + nl;
+  }
+  return -1;
+}
+
+async function readJsonlFromOffset(filePath, offset, maxBytes) {
+  const st = await fs.promises.stat(filePath);
+  const size = st.size;
+  if (offset >= size) return { lines: [], entries: [], newOffset: offset, eof: true };
+
+  let readSize = Math.min(maxBytes, size - offset);
+  let buf;
+  const fd = await fs.promises.open(filePath, "r");
+  try {
+    // one record longer than maxBytes: widen the read until its newline (or EOF) is in it,
+    // so a cursor never parks on it; past JSONL_MAX_RECORD_BYTES the line is skipped instead
+    for (;;) {
+      buf = Buffer.alloc(readSize);
+      await fd.read(buf, 0, readSize, offset);
+      if (buf.indexOf(0x0a) !== -1 || offset + readSize >= size) break;
+
+      if (readSize >= JSONL_MAX_RECORD_BYTES) {
+        const nl = await findNewline(fd, offset + readSize, size);
+        if (nl === -1) break; // still being written
+        jsonlSkippedRecords += 1;
+        logger.warn("jsonl.record_skipped", {
+          line: "L3B",
+          file: path.basename(filePath),
+          offset,
+          bytes: nl + 1 - offset,
+          max_record_bytes: JSONL_MAX_RECORD_BYTES,
+        });
+        return { lines: [], entries: [], newOffset: nl + 1, eof: false, skipped: 1 };
+      }
+      readSize = Math.min(readSize * 2, Math.max(JSONL_MAX_RECORD_BYTES, maxBytes), size - offset);
+    }
+  } finally {
+    await fd.close();
+  }
+
+  // entries[i].end = absolute offset just past that line (lets callers stop mid-chunk)
+  const entries = [];
+  let pos = 0;
+  let nl;
+  while ((nl = buf.indexOf(0x0a, pos)) !== -1) {
+    const l = buf.toString("utf8", pos, nl);
+    pos = nl + 1;
+    if (!l) continue;
+    try {
+      entries.push({ rec: JSON.parse(l), end: offset + pos });
+    } catch {
+      // skip bad line
+    }
+  }
+
+  if (pos === 0) {
+    return { lines: [], entries: [], newOffset: offset, eof: false };
+  }
+
+  return { lines: entries.map((e) => e.rec), entries, newOffset: offset + pos, eof: false };
+}
+
+function shouldReplayRecord(rec) {
+  const stage = String(rec?.stage || "");
+  if (settings.REPLAY_MODE === "ALL") return stage === "jsonl.always" || stage === "jsonl.fallback";
+  return stage === "jsonl.fallback";
+}
+
+// ---- Line 3-C-lite: replay worker ----
+let replayTimer = null;
+let replayBusy = false;
+let replayStats = {
+  ticks: 0,
+  sent: 0,
+  failed: 0,
+  dead_lettered: 0,
+  last_tick_at: null,
+  last_error: null,
+};
+
+async function replayTickOnce() {
+  replayStats.ticks += 1;
+  replayStats.last_tick_at = new Date().toISOString();
+
+  if (!JSONL_ENABLED) return { ok: true, skipped: true, reason: "jsonl_disabled" };
+  if (settings.REPLAY_ENABLED !== "ON") {
+    return { ok: true, skipped: true, reason: "replay_disabled" };
+  }
+  if (control.replay_paused) return { ok: true, skipped: true, reason: "replay_paused" };
+  if (replayBusy) return { ok: true, skipped: true, reason: "replay_busy" };
+
+  replayBusy = true;
+
+  try {
+    const state = await loadReplayState();
+    assertStateUsable(state, replayStatePath());
+    const seg = await resolveJsonlCursor(state, "replay");
+    if (!seg) return { ok: true, skipped: true, reason: "no_jsonl_file" };
+
+    const filePath = seg.path;
+    const beforeOffset = state.offset;
+
+    // head record failed recently -> wait out its backoff
+    if (state.head_next_attempt_at && Date.now() < state.head_next_attempt_at) {
+      return {
+        ok: true,
+        skipped: true,
+        reason: "replay_backoff",
+        segment: seg.name,
+        offset: state.offset,
+        head_attempts: state.head_attempts,
+        retry_at: new Date(state.head_next_attempt_at).toISOString(),
+      };
+    }
+
+    const { entries, newOffset } = await readJsonlFromOffset(
+      filePath,
+      state.offset,
+      settings.REPLAY_MAX_BYTES_PER_TICK
+    );
+
+    let sent = 0;
+    let deadLettered = 0;
+    let offset = state.offset;
+    let stopped = false;
+    let error = null;
+
+    // stop-on-first-failure: the offset never moves past an unsent record,
+    // unless it has failed REPLAY_MAX_ATTEMPTS times (then it is dead-lettered)
+    for (const { rec, end } of entries) {
+      if (!shouldReplayRecord(rec)) {
+        offset = end;
+        continue;
+      }
+      if (sent >= settings.REPLAY_BATCH_SIZE) {
+        stopped = true;
+        break;
+      }
+
+      const eventForSheets = {
+        job_id: rec.job_id || "",
+        trace_id: rec.trace_id || "",
+        source: rec.source || "",
+        event_type: rec.event_type || "",
+        payload: rec.payload ?? {},
+        received_at: rec.received_at || rec.ts || new Date().toISOString(),
+        ingest_latency_ms: typeof rec.ingest_latency_ms === "number" ? rec.ingest_latency_ms : "",
+        replayed_at: new Date().toISOString(),
+      };
+
+      // fallback records name the sinks that missed the event; older ones mean "all"
+      const done = state.head_offset === offset ? state.head_sinks_done : [];
+      let only = rec.failed_sinks || null;
+      if (!only && done.length) only = sinksFor("ingest", eventForSheets).map((s) => s.name);
+      if (only) only = only.filter((n) => !done.includes(n));
+
+      const out = await sendEventToSinks(eventForSheets, only);
+      if (!out.sheets_ok) {
+        error = out.error || "replay_send_fail";
+        replayStats.failed += 1;
+        incCounter("itplaylab_replay_records_total", { outcome: "failed" });
+        replayStats.last_error = error;
+        state.failed = Number(state.failed || 0) + 1;
+
+        // attempts are counted per record, keyed by its start offset
+        const now = Date.now();
+        if (state.head_offset !== offset) {
+          state.head_offset = offset;
+          state.head_attempts = 0;
+          state.head_first_failed_at = new Date(now).toISOString();
+        }
+        state.head_attempts += 1;
+        state.head_sinks_done = [
+          ...done,
+          ...Object.keys(out.results).filter((n) => out.results[n].ok),
+        ];
+
+        if (state.head_attempts >= settings.REPLAY_MAX_ATTEMPTS) {
+          const dl = await writeDeadLetter({
+            origin: "replay",
+            error,
+            attempts: state.head_attempts,
+            first_failed_at: state.head_first_failed_at,
+            ref: { file: filePath, offset },
+            item: { ...rec, failed_sinks: out.failed_sinks },
+          });
+
+          if (dl.ok) {
+            deadLettered += 1;
+            replayStats.dead_lettered += 1;
+            incCounter("itplaylab_replay_records_total", { outcome: "dead_lettered" });
+            recordJobEvent(rec, "dead_lettered", {
+              dead_letter_id: dl.id,
+              attempts: state.head_attempts,
+              error,
+            });
+            clearReplayHead(state);
+            offset = end;
+            continue;
+          }
+        }
+
+        const backoff = Math.min(
+          settings.REPLAY_BACKOFF_BASE_MS * Math.pow(2, state.head_attempts - 1),
+          settings.REPLAY_BACKOFF_MAX_MS
+        );
+        state.head_next_attempt_at = now + backoff;
+        stopped = true;
+        break;
+      }
+
+      replayStats.sent += 1;
+      incCounter("itplaylab_replay_records_total", { outcome: "sent" });
+      recordJobEvent(rec, "replayed", { attempts: state.head_attempts + 1 });
+      state.sent = Number(state.sent || 0) + 1;
+      sent += 1;
+      clearReplayHead(state);
+      offset = end;
+    }
+
+    // walked the whole chunk -> also skip trailing unparsable lines
+    if (!stopped) offset = newOffset;
+
+    state.offset = offset;
+    state.last_error = error;
+    await saveReplayState(state);
+
+    return {
+      ok: !error,
+      sent,
+      dead_lettered: deadLettered,
+      advanced: state.offset - beforeOffset,
+      segment: seg.name,
+      offset: state.offset,
+      error: error || undefined,
+      head_attempts: error ? state.head_attempts : undefined,
+    };
+  } catch (e) {
+    const msg = e?.message || String(e);
+    replayStats.failed += 1;
+    replayStats.last_error = msg;
+    return { ok: false, error: msg };
+  } finally {
+    replayBusy = false;
+  }
+}
+
+function clearReplayHead(state) {
+  state.head_offset = null;
+  state.head_sinks_done = [];
+  state.head_attempts = 0;
+  state.head_first_failed_at = null;
+  state.head_next_attempt_at = 0;
+}
+
+function startReplayWorkerIfEnabled() {
+  if (settings.REPLAY_ENABLED !== "ON") {
+    logger.info("replay.disabled", { line: "3-C-lite", replay_enabled: settings.REPLAY_ENABLED });
+    return;
+  }
+  logger.info("replay.enabled", {
+    line: "3-C-lite",
+    interval_ms: settings.REPLAY_INTERVAL_MS,
+    batch_size: settings.REPLAY_BATCH_SIZE,
+    replay_mode: settings.REPLAY_MODE,
+  });
+  replayTimer = setInterval(() => {
+    replayTickOnce().catch((e) => {
+      logger.error("replay.fatal", { line: "3-C-lite", error: e });
+    });
+  }, settings.REPLAY_INTERVAL_MS);
+}
+
+// ------------------------------
+// Dead letters (shared by the /events sync worker and the replay worker)
+// ------------------------------
+/**
+ * DEAD_LETTER_FILE is append-only JSONL:
+ * { op: "add", dl: { id, origin, error, attempts, first_failed_at, dead_at, ref, item } }
+ * { op: "del", id, reason }   (requeued or purged)
+ *
+ * origin = "events_queue" (item = queue item incl. payload_str)
+ *        | "replay"       (item = the JSONL record, ref = { file, offset })
+ *        | "sink"         (log sink gave up; item = the JSONL record, ref = { sink, file, offset })
+ */
+let deadLetterWriteChain = Promise.resolve();
+let deadLetterCount = 0;
+let deadLetterStats = { added: 0, requeued: 0, purged: 0, last_error: null };
+
+function deadLetterPath() {
+  return path.join(JSONL_DIR, DEAD_LETTER_FILE);
+}
+
+function appendDeadLetterOps(ops) {
+  const lines = ops.map((op) => JSON.stringify(op) + "\n").join("");
+
+  deadLetterWriteChain = deadLetterWriteChain
+    .then(async () => {
+      await ensureDirExists(JSONL_DIR);
+      await fs.promises.appendFile(deadLetterPath(), lines, "utf8");
+      return { ok: true };
+    })
+    .catch((err) => {
+      deadLetterStats.last_error = String(err?.message || err);
+      return { ok: false, error: deadLetterStats.last_error };
+    });
+
+  return deadLetterWriteChain;
+}
+
+async function readDeadLetters() {
+  let raw;
+  try {
+    raw = await fs.promises.readFile(deadLetterPath(), "utf8");
+  } catch {
+    return [];
+  }
+
+  const live = new Map();
+  for (const l of raw.split("\n")) {
+    if (!l) continue;
+    try {
+      const rec = JSON.parse(l);
+      if (rec.op === "add" && rec.dl?.id) live.set(rec.dl.id, rec.dl);
+      else if (rec.op === "del") live.delete(rec.id);
+    } catch {
+      // torn line
+    }
+  }
+  return [...live.values()];
+}
+
+async function writeDeadLetter({ origin, error, attempts, first_failed_at, ref, item }) {
+  const dl = {
+    id: "dl_" + Date.now().toString(36) + "_" + crypto.randomBytes(4).toString("hex"),
+    origin,
+    error: String(error || "unknown"),
+    attempts,
+    first_failed_at: first_failed_at || null,
+    dead_at: safeNowIso(),
+    ref: ref || null,
+    item,
+  };
+
+  const r = await appendDeadLetterOps([{ op: "add", dl }]);
+  if (r.ok) {
+    deadLetterCount += 1;
+    deadLetterStats.added += 1;
+  }
+
+  logger.warn(r.ok ? "deadletter.add" : "deadletter.add.fail", {
+    line: "DLQ",
+    dl_id: dl.id,
+    origin,
+    job_id: item?.job_id,
+    trace_id: item?.trace_id,
+    queue_id: origin === "events_queue" ? item?.id : undefined,
+    attempts,
+    error: dl.error,
+    write_error: r.ok ? undefined : r.error,
+  });
+
+  return { ...r, id: dl.id };
+}
+
+// rewrites the file with live entries only (temp + rename)
+function compactDeadLetters(keep) {
+  deadLetterWriteChain = deadLetterWriteChain
+    .then(async () => {
+      const live = (await readDeadLetters()).filter(keep);
+      const p = deadLetterPath();
+
+      await ensureDirExists(JSONL_DIR);
+      await writeFileAtomic(p, live.map((dl) => JSON.stringify({ op: "add", dl }) + "\n").join(""));
+      return { ok: true, live: live.length };
+    })
+    .catch((err) => {
+      deadLetterStats.last_error = String(err?.message || err);
+      return { ok: false, error: deadLetterStats.last_error };
+    });
+
+  return deadLetterWriteChain;
+}
+
+async function requeueDeadLetter(dl) {
+  if (dl.origin === "events_queue") {
+    if (OPS_MODE !== "FULL") return { ok: false, error: "sync_queue_requires_FULL_mode" };
+    const { id, hash, bytes, received_at, payload_str } = dl.item || {};
+    const r = await enqueue({
+      id,
+      hash,
+      bytes,
+      received_at,
+      payload_str,
+      retry: 0,
+      last_error: null,
+      next_attempt_at: 0,
+    });
+    if (!r.ok) return r;
+  } else if (dl.origin === "replay") {
+    if (!JSONL_ENABLED) return { ok: false, error: "jsonl_disabled" };
+    const r = await appendJsonl({
+      ts: new Date().toISOString(),
+      kind: "ingest",
+      stage: "jsonl.fallback",
+      reason: "deadletter_requeue",
+      failed_sinks: dl.item?.failed_sinks,
+      ...eventFromJsonlRecord(dl.item || {}),
+    });
+    if (!r.ok) return r;
+  } else if (dl.origin === "sink") {
+    if (!JSONL_ENABLED) return { ok: false, error: "jsonl_disabled" };
+    // picked up again by that sink's cursor only
+    const r = await appendJsonl({
+      ts: new Date().toISOString(),
+      kind: "ingest",
+      stage: "jsonl.redeliver",
+      reason: "deadletter_requeue",
+      sinks: [dl.ref?.sink],
+      ...eventFromJsonlRecord(dl.item || {}),
+    });
+    if (!r.ok) return r;
+  } else {
+    return { ok: false, error: `unknown_origin_${dl.origin}` };
+  }
+
+  const r = await appendDeadLetterOps([{ op: "del", id: dl.id, reason: "requeued" }]);
+  if (r.ok) {
+    deadLetterCount = Math.max(0, deadLetterCount - 1);
+    deadLetterStats.requeued += 1;
+  }
+  return r;
+}
+
+async function initDeadLetters() {
+  const r = await compactDeadLetters(() => true);
+  if (r.ok) deadLetterCount = r.live;
+  if (r.ok && r.live > 0) logger.info("deadletter.restored", { line: "DLQ", count: r.live });
+}
+
+// ------------------------------
+// Schema registry (per event_type, versioned, loaded from SCHEMA_DIR)
+// ------------------------------
+/**
+ * One file per schema version in SCHEMA_DIR:
+ * { "event_type": "order.created", "version": 2, "description": "...", "schema": { ... } }
+ *
+ * `schema` supports a JSON-Schema subset: type, required, properties,
+ * additionalProperties (boolean), enum, const, minLength/maxLength, pattern,
+ * minimum/maximum, items, minItems/maxItems.
+ */
+const schemaRegistry = new Map(); // event_type -> [{ version, file, description, schema }] (asc)
+let schemaLoadedAt = null;
+let schemaLoadErrors = [];
+const schemaPatterns = new WeakMap(); // schema node -> compiled `pattern`
+
+// compile every `pattern` once; a bad one fails its file at load instead of each request
+function compileSchemaPatterns(schema, at) {
+  if (!schema || typeof schema !== "object") return;
+  if (schema.pattern !== undefined) {
+    try {
+      schemaPatterns.set(schema, new RegExp(schema.pattern));
+    } catch (e) {
+      throw new Error(`${at}.pattern: ${e.message}`);
+    }
+  }
+  for (const [key, sub] of Object.entries(schema.properties || {})) {
+    compileSchemaPatterns(sub, `${at}.${key}`);
+  }
+  if (schema.items) compileSchemaPatterns(schema.items, `${at}[]`);
+}
+
+function loadSchemaRegistry() {
+  const next = new Map();
+  const errors = [];
+
+  let files = [];
+  try {
+    files = fs.readdirSync(SCHEMA_DIR).filter((f) => f.endsWith(".json"));
+  } catch (e) {
+    if (SCHEMA_VALIDATION !== "OFF") {
+      errors.push({ file: SCHEMA_DIR, error: String(e?.message || e) });
+    }
+  }
+
+  for (const file of files.sort()) {
+    try {
+      const def = JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), "utf8"));
+      const version = Number(def.version);
+      if (!def.event_type || !Number.isInteger(version) || version < 1 || !def.schema) {
+        throw new Error("event_type, integer version >= 1 and schema are required");
+      }
+
+      const list = next.get(def.event_type) || [];
+      if (list.some((s) => s.version === version)) {
+        throw new Error(`duplicate version ${version} for ${def.event_type}`);
+      }
+      compileSchemaPatterns(def.schema, "payload");
+      list.push({ version, file, description: def.description || "", schema: def.schema });
+      next.set(def.event_type, list);
+    } catch (e) {
+      errors.push({ file, error: String(e?.message || e) });
+    }
+  }
+
+  for (const list of next.values()) list.sort((a, b) => a.version - b.version);
+
+  schemaRegistry.clear();
+  for (const [k, v] of next) schemaRegistry.set(k, v);
+  schemaLoadedAt = safeNowIso();
+  schemaLoadErrors = errors;
+
+  for (const e of errors) logger.warn("schemas.load_error", { line: "SCHEMA", ...e });
+  let count = 0;
+  for (const list of next.values()) count += list.length;
+  return { count, errors };
+}
+
+function resolveSchema(eventType, version) {
+  const list = schemaRegistry.get(eventType);
+  if (!list || list.length === 0) return null;
+  if (version === undefined || version === null || version === "") return list[list.length - 1];
+  return list.find((s) => s.version === Number(version)) || null;
+}
+
+function jsonTypeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number" && Number.isInteger(v)) return "integer";
+  return typeof v;
+}
+
+function typeMatches(v, type) {
+  const actual = jsonTypeOf(v);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+// Collects every violation as { path, rule, message } (path uses "payload.a[0].b")
+function validateAgainstSchema(value, schema, at, errors) {
+  if (!schema || typeof schema !== "object") return errors;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => typeMatches(value, t))) {
+      errors.push({
+        path: at,
+        rule: "type",
+        message: `expected ${types.join("|")}, got ${jsonTypeOf(value)}`,
+      });
+      return errors; // nested checks are noise once the type is wrong
+    }
+  }
+
+  if ("const" in schema && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    errors.push({ path: at, rule: "const", message: `must equal ${JSON.stringify(schema.const)}` });
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some((e) => JSON.stringify(e) === JSON.stringify(value))) {
+    errors.push({ path: at, rule: "enum", message: `must be one of ${JSON.stringify(schema.enum)}` });
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: at, rule: "minLength", message: `length must be >= ${schema.minLength}` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, rule: "maxLength", message: `length must be <= ${schema.maxLength}` });
+    }
+    const pattern = schemaPatterns.get(schema);
+    if (pattern && !pattern.test(value)) {
+      errors.push({ path: at, rule: "pattern", message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, rule: "minimum", message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, rule: "maximum", message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, rule: "minItems", message: `must have >= ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: at, rule: "maxItems", message: `must have <= ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateAgainstSchema(item, schema.items, `${at}[${i}]`, errors));
+    }
+  }
+
+  if (jsonTypeOf(value) === "object") {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: `${at}.${key}`, rule: "required", message: "is required" });
+      }
+    }
+    for (const [key, sub] of Object.entries(props)) {
+      if (value[key] !== undefined) validateAgainstSchema(value[key], sub, `${at}.${key}`, errors);
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!Object.hasOwn(props, key)) {
+          errors.push({ path: `${at}.${key}`, rule: "additionalProperties", message: "is not allowed" });
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Returns { status, version, errors }:
+ * status = "off" | "valid" | "invalid" | "unknown_event_type" | "unknown_version"
+ */
+function validateIngestPayload(eventType, payload, requestedVersion) {
+  if (SCHEMA_VALIDATION === "OFF") return { status: "off", version: null, errors: [] };
+
+  if (!schemaRegistry.has(eventType)) {
+    return { status: "unknown_event_type", version: null, errors: [] };
+  }
+
+  const def = resolveSchema(eventType, requestedVersion);
+  if (!def) {
+    return {
+      status: "unknown_version",
+      version: requestedVersion ?? null,
+      errors: [{ path: "schema_version", rule: "version", message: "no such schema version" }],
+    };
+  }
+
+  const errors = validateAgainstSchema(payload, def.schema, "payload", []);
+  return { status: errors.length ? "invalid" : "valid", version: def.version, errors };
+}
+
+function isSchemaRejected(validation) {
+  return (
+    (SCHEMA_VALIDATION === "REJECT" &&
+      (validation.status === "invalid" || validation.status === "unknown_version")) ||
+    (validation.status === "unknown_event_type" && SCHEMA_UNKNOWN === "REJECT")
+  );
+}
+
+// WARN mode: the event still goes through, tagged so the sheet/JSONL shows the break
+function applySchemaTags(eventForSheets, validation) {
+  if (validation.status === "off") return;
+
+  eventForSheets.schema_status = validation.status;
+  eventForSheets.schema_version = validation.version;
+  if (validation.errors.length) eventForSheets.schema_errors = validation.errors.slice(0, 20);
+
+  if (validation.status === "invalid" || validation.status === "unknown_version") {
+    logger.warn("ingest.schema.warn", {
+      line: "L2",
+      trace_id: eventForSheets.trace_id,
+      job_id: eventForSheets.job_id,
+      event_type: eventForSheets.event_type,
+      schema_status: validation.status,
+      schema_version: validation.version,
+      schema_errors: validation.errors.slice(0, 20),
+    });
+  }
+}
+
+// ------------------------------
+// Idempotency keys for /ingest (persisted on JSONL_DIR)
+// ------------------------------
+/**
+ * File = append-only JSONL of
+ * { key, body_hash, job_id, trace_id, received_at, created_at_ms }
+ * Loaded on boot (expired entries dropped) and rewritten once enough
+ * appends have piled up.
+ */
+const idempotencyKeys = new Map(); // scoped key -> entry
+const idempotencyInflight = new Map(); // scoped key -> Promise<entry|null>
+let idempotencyWriteChain = Promise.resolve();
+let idempotencyAppendsSinceCompact = 0;
+let idempotencyReplays = 0;
+let idempotencyLastError = null;
+
+function idempotencyPath() {
+  return path.join(JSONL_DIR, IDEMPOTENCY_FILE);
+}
+
+function extractIdempotencyKey(req) {
+  const fromHeader = req.headers["idempotency-key"];
+  if (fromHeader) return String(fromHeader).slice(0, 256);
+  if (IDEMPOTENCY_BODY_FIELD) {
+    const v = req.body?.[IDEMPOTENCY_BODY_FIELD];
+    if (v !== undefined && v !== null && v !== "") return String(v).slice(0, 256);
+  }
+  return null;
+}
+
+function pruneIdempotencyKeys(now) {
+  for (const [k, e] of idempotencyKeys.entries()) {
+    if (now - e.created_at_ms > IDEMPOTENCY_TTL_MS) idempotencyKeys.delete(k);
+  }
+}
+
+function getIdempotencyEntry(scopedKey) {
+  const e = idempotencyKeys.get(scopedKey);
+  if (!e) return null;
+  if (Date.now() - e.created_at_ms > IDEMPOTENCY_TTL_MS) {
+    idempotencyKeys.delete(scopedKey);
+    return null;
+  }
+  return e;
+}
+
+function rewriteIdempotencyFile() {
+  idempotencyWriteChain = idempotencyWriteChain
+    .then(async () => {
+      pruneIdempotencyKeys(Date.now());
+      const p = idempotencyPath();
+      const body = [...idempotencyKeys.values()].map((e) => JSON.stringify(e) + "\n").join("");
+
+      await ensureDirExists(JSONL_DIR);
+      await writeFileAtomic(p, body);
+      idempotencyAppendsSinceCompact = 0;
+      return { ok: true };
+    })
+    .catch((err) => {
+      idempotencyLastError = String(err?.message || err);
+      return { ok: false, error: idempotencyLastError };
+    });
+
+  return idempotencyWriteChain;
+}
+
+function saveIdempotencyEntry(entry) {
+  idempotencyKeys.set(entry.key, entry);
+  idempotencyAppendsSinceCompact += 1;
+
+  if (idempotencyAppendsSinceCompact >= IDEMPOTENCY_COMPACT_EVERY) {
+    return rewriteIdempotencyFile();
+  }
+
+  idempotencyWriteChain = idempotencyWriteChain
+    .then(async () => {
+      await ensureDirExists(JSONL_DIR);
+      await fs.promises.appendFile(idempotencyPath(), JSON.stringify(entry) + "\n", "utf8");
+      return { ok: true };
+    })
+    .catch((err) => {
+      idempotencyLastError = String(err?.message || err);
+      return { ok: false, error: idempotencyLastError };
+    });
+
+  return idempotencyWriteChain;
+}
+
+async function loadIdempotencyKeys() {
+  if (IDEMPOTENCY !== "ON") return;
+
+  let raw = "";
+  try {
+    raw = await fs.promises.readFile(idempotencyPath(), "utf8");
+  } catch {
+    // first boot
+  }
+
+  for (const l of raw.split("\n")) {
+    if (!l) continue;
+    try {
+      const e = JSON.parse(l);
+      if (e?.key && e.job_id) idempotencyKeys.set(e.key, e);
+    } catch {
+      // torn line
+    }
+  }
+
+  await rewriteIdempotencyFile();
+  logger.info("idempotency.loaded", { keys: idempotencyKeys.size, ttl_ms: IDEMPOTENCY_TTL_MS });
+}
+
+// ------------------------------
+// Dedupe for /events and /ingest (optionally persisted on JSONL_DIR)
+// ------------------------------
+/**
+ * Fingerprint of a request body:
+ * - CANONICAL: sha256 of the body as JSON with sorted keys, minus DEDUPE_IGNORE_FIELDS
+ * - FIELDS:    sha256 of the DEDUPE_FIELDS values (dotted paths); CANONICAL if any is missing
+ * - RAW:       sha256 of JSON.stringify(body)
+ * Keys are scoped per route ("events:" / "ingest:<source>:") and live DEDUPE_WINDOW_MS from
+ * their first sighting. With DEDUPE_PERSIST=ON they are appended to DEDUPE_FILE as
+ * { key, ref, trace_id, first_at_ms } (ref = store id / job_id of the first copy).
+ */
+const dedupeKeys = new Map(); // scoped key -> entry, oldest first
+let dedupeWriteChain = Promise.resolve();
+let dedupeAppendsSinceCompact = 0;
+let dedupeLastError = null;
+let dedupeStats = { checked: 0, duplicates: 0 };
+
+function dedupePath() {
+  return path.join(JSONL_DIR, DEDUPE_FILE);
+}
+
+function canonicalJson(v) {
+  if (Array.isArray(v)) return `[${v.map(canonicalJson).join(",")}]`;
+  if (v && typeof v === "object") {
+    const keys = Object.keys(v)
+      .filter((k) => v[k] !== undefined)
+      .sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJson(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v) ?? "null";
+}
+
+function valueAtPath(obj, p) {
+  return p.split(".").reduce((o, k) => (o === null || o === undefined ? undefined : o[k]), obj);
+}
+
+function withoutPaths(body, paths) {
+  if (paths.length === 0 || !body || typeof body !== "object") return body;
+  const copy = structuredClone(body);
+  for (const p of paths) {
+    const parts = p.split(".");
+    const last = parts.pop();
+    const parent = parts.length ? valueAtPath(copy, parts.join(".")) : copy;
+    if (parent && typeof parent === "object") delete parent[last];
+  }
+  return copy;
+}
+
+function dedupeFingerprint(body) {
+  if (DEDUPE_KEY === "RAW") return sha256(JSON.stringify(body));
+  if (DEDUPE_KEY === "FIELDS" && DEDUPE_FIELDS.length) {
+    const values = DEDUPE_FIELDS.map((f) => valueAtPath(body, f));
+    if (values.every((v) => v !== undefined && v !== null && v !== "")) {
+      return sha256(`fields:${canonicalJson(values)}`);
+    }
+  }
+  return sha256(canonicalJson(withoutPaths(body, DEDUPE_IGNORE_FIELDS)));
+}
+
+function pruneDedupeKeys(now) {
+  // insertion order == first_at order, so expired keys sit at the front
+  for (const [k, e] of dedupeKeys) {
+    if (now - e.first_at_ms <= DEDUPE_WINDOW_MS && dedupeKeys.size <= DEDUPE_MAX_KEYS) break;
+    dedupeKeys.delete(k);
+  }
+}
+
+function rewriteDedupeFile() {
+  dedupeWriteChain = dedupeWriteChain
+    .then(async () => {
+      pruneDedupeKeys(Date.now());
+      const p = dedupePath();
+      const body = [...dedupeKeys.values()].map((e) => JSON.stringify(e) + "\n").join("");
+
+      await ensureDirExists(JSONL_DIR);
+      await writeFileAtomic(p, body);
+      dedupeAppendsSinceCompact = 0;
+      return { ok: true };
+    })
+    .catch((err) => {
+      dedupeLastError = String(err?.message || err);
+      return { ok: false, error: dedupeLastError };
+    });
+
+  return dedupeWriteChain;
+}
+
+function saveDedupeEntry(entry) {
+  dedupeAppendsSinceCompact += 1;
+  if (dedupeAppendsSinceCompact >= DEDUPE_COMPACT_EVERY) return rewriteDedupeFile();
+
+  dedupeWriteChain = dedupeWriteChain
+    .then(async () => {
+      await ensureDirExists(JSONL_DIR);
+      await fs.promises.appendFile(dedupePath(), JSON.stringify(entry) + "\n", "utf8");
+      return { ok: true };
+    })
+    .catch((err) => {
+      dedupeLastError = String(err?.message || err);
+      return { ok: false, error: dedupeLastError };
+    });
+
+  return dedupeWriteChain;
+}
+
+/**
+ * Returns the entry of the first copy when `scopedKey` was seen inside the window;
+ * otherwise remembers this one (ref/traceId) and returns null. Synchronous check-and-set,
+ * so two concurrent copies cannot both pass.
+ */
+function dedupeCheck(scopedKey, ref, traceId) {
+  const now = Date.now();
+  dedupeStats.checked += 1;
+  pruneDedupeKeys(now);
+
+  const seen = dedupeKeys.get(scopedKey);
+  if (seen) {
+    dedupeStats.duplicates += 1;
+    return seen;
+  }
+
+  const entry = { key: scopedKey, ref, trace_id: traceId, first_at_ms: now };
+  dedupeKeys.set(scopedKey, entry);
+  if (DEDUPE_PERSIST === "ON") saveDedupeEntry(entry);
+  return null;
+}
+
+async function loadDedupeKeys() {
+  if (DEDUPE_PERSIST !== "ON") return;
+
+  let raw = "";
+  try {
+    raw = await fs.promises.readFile(dedupePath(), "utf8");
+  } catch {
+    // first boot
+  }
+
+  const entries = [];
+  for (const l of raw.split("\n")) {
+    if (!l) continue;
+    try {
+      const e = JSON.parse(l);
+      if (e?.key && Number.isFinite(e.first_at_ms)) entries.push(e);
+    } catch {
+      // torn line
+    }
+  }
+  entries.sort((a, b) => a.first_at_ms - b.first_at_ms);
+  for (const e of entries) if (!dedupeKeys.has(e.key)) dedupeKeys.set(e.key, e);
+
+  await rewriteDedupeFile();
+  logger.info("dedupe.loaded", { keys: dedupeKeys.size, window_ms: DEDUPE_WINDOW_MS });
+}
+
+// ------------------------------
+// Job timeline (per job_id lifecycle, persisted on JSONL_DIR)
+// ------------------------------
+/**
+ * File = append-only JSONL of { job_id, trace_id, ts, event, ...details }.
+ * Events: received, jsonl.written, sink.attempt, replayed, dead_lettered.
+ * Jobs older than JOB_TIMELINE_TTL_MS (by first event) are dropped on compaction.
+ */
+const timelineJobs = new Map(); // job_id -> { job_id, trace_id, first_at_ms, events: [] }
+const timelineTraces = new Map(); // trace_id -> Set(job_id)
+let timelineWriteChain = Promise.resolve();
+let timelineAppendsSinceCompact = 0;
+let timelineLastError = null;
+
+function timelinePath() {
+  return path.join(JSONL_DIR, JOB_TIMELINE_FILE);
+}
+
+function forgetTimelineJob(jobId) {
+  const job = timelineJobs.get(jobId);
+  if (!job) return;
+  timelineJobs.delete(jobId);
+  const jobs = timelineTraces.get(job.trace_id);
+  if (jobs) {
+    jobs.delete(jobId);
+    if (jobs.size === 0) timelineTraces.delete(job.trace_id);
+  }
+}
+
+function indexTimelineEvent(e) {
+  let job = timelineJobs.get(e.job_id);
+  if (!job) {
+    job = {
+      job_id: e.job_id,
+      trace_id: e.trace_id || "",
+      first_at_ms: Date.parse(e.ts),
+      events: [],
+    };
+    timelineJobs.set(e.job_id, job);
+    if (job.trace_id) {
+      if (!timelineTraces.has(job.trace_id)) timelineTraces.set(job.trace_id, new Set());
+      timelineTraces.get(job.trace_id).add(e.job_id);
+    }
+  }
+  job.events.push(e);
+}
+
+// Map keeps insertion order -> the first jobs are the oldest
+function pruneTimeline(now) {
+  for (const [jobId, job] of timelineJobs) {
+    const expired = now - job.first_at_ms > JOB_TIMELINE_TTL_MS;
+    if (!expired && timelineJobs.size <= JOB_TIMELINE_MAX_JOBS) break;
+    forgetTimelineJob(jobId);
+  }
+}
+
+function rewriteTimelineFile() {
+  timelineWriteChain = timelineWriteChain
+    .then(async () => {
+      pruneTimeline(Date.now());
+      const p = timelinePath();
+      const body = [...timelineJobs.values()]
+        .flatMap((job) => job.events.map((e) => JSON.stringify(e) + "\n"))
+        .join("");
+
+      await ensureDirExists(JSONL_DIR);
+      await writeFileAtomic(p, body);
+      timelineAppendsSinceCompact = 0;
+      return { ok: true };
+    })
+    .catch((err) => {
+      timelineLastError = String(err?.message || err);
+      return { ok: false, error: timelineLastError };
+    });
+
+  return timelineWriteChain;
+}
+
+/**
+ * Fire-and-forget: callers never wait on (or fail because of) the timeline.
+ * `ref` is anything carrying job_id/trace_id (eventForSheets, a JSONL record).
+ */
+function recordJobEvent(ref, event, details = {}) {
+  if (JOB_TIMELINE !== "ON" || !ref?.job_id) return;
+
+  const e = {
+    job_id: ref.job_id,
+    trace_id: ref.trace_id || "",
+    ts: new Date().toISOString(),
+    event,
+  };
+  for (const [k, v] of Object.entries(details)) {
+    if (v !== undefined) e[k] = v;
+  }
+  indexTimelineEvent(e);
+  timelineAppendsSinceCompact += 1;
+
+  if (timelineAppendsSinceCompact >= JOB_TIMELINE_COMPACT_EVERY) {
+    rewriteTimelineFile();
+    return;
+  }
+  if (timelineJobs.size > JOB_TIMELINE_MAX_JOBS) pruneTimeline(Date.now());
+
+  timelineWriteChain = timelineWriteChain
+    .then(async () => {
+      await ensureDirExists(JSONL_DIR);
+      await fs.promises.appendFile(timelinePath(), JSON.stringify(e) + "\n", "utf8");
+      return { ok: true };
+    })
+    .catch((err) => {
+      timelineLastError = String(err?.message || err);
+      return { ok: false, error: timelineLastError };
+    });
+}
+
+async function loadJobTimeline() {
+  if (JOB_TIMELINE !== "ON") return;
+
+  let raw = "";
+  try {
+    raw = await fs.promises.readFile(timelinePath(), "utf8");
+  } catch {
+    // first boot
+  }
+
+  for (const l of raw.split("\n")) {
+    if (!l) continue;
+    try {
+      const e = JSON.parse(l);
+      if (e?.job_id && e.event) indexTimelineEvent(e);
+    } catch {
+      // torn line
+    }
+  }
+
+  await rewriteTimelineFile();
+  logger.info("timeline.loaded", { jobs: timelineJobs.size, ttl_ms: JOB_TIMELINE_TTL_MS });
+}
+
+// older timelines recorded GAS-only "gas.attempt" events
+function sinkAttempts(events) {
+  return events
+    .filter((e) => e.event === "sink.attempt" || e.event === "gas.attempt")
+    .map((e) => ({ ...e, sink: e.sink || "gas" }));
+}
+
+// per sink: first successful attempt, or null
+function sinkOutcomes(events) {
+  const out = {};
+  for (const e of sinkAttempts(events)) {
+    if (!(e.sink in out)) out[e.sink] = null;
+    if (e.ok && !out[e.sink]) out[e.sink] = e;
+  }
+  return out;
+}
+
+// "did my event reach the sheet?" in one word
+function jobStatus(events) {
+  const written = (stage) =>
+    events.some((e) => e.event === "jsonl.written" && e.ok && e.stage === stage);
+  const outcomes = Object.values(sinkOutcomes(events));
+
+  if (outcomes.length && outcomes.every(Boolean)) return "delivered";
+  if (events.some((e) => e.event === "dead_lettered")) return "dead_lettered";
+  if (written("jsonl.fallback")) return "pending_replay";
+  if (outcomes.length) return "failed";
+  if (written("jsonl.accepted")) return "accepted";
+  return "received";
+}
+
+function jobView(job) {
+  const outcomes = sinkOutcomes(job.events);
+  const oks = Object.values(outcomes).filter(Boolean);
+  const status = jobStatus(job.events);
+  const lastOkAt = oks.reduce((max, e) => (e.ts > max ? e.ts : max), "");
+  return {
+    job_id: job.job_id,
+    trace_id: job.trace_id,
+    status,
+    attempts: sinkAttempts(job.events).length,
+    sinks: Object.fromEntries(Object.entries(outcomes).map(([k, v]) => [k, v ? "ok" : "failed"])),
+    delivered_at: status === "delivered" ? lastOkAt : null,
+    append_row: oks.find((e) => e.append_row !== undefined)?.append_row,
+    events: job.events.map(({ job_id, trace_id, ...rest }) => rest),
+  };
+}
+
+// ------------------------------
+// Line 3 pipeline (shared by /ingest and /tg/webhook)
+// JSONL always -> GAS (best-effort) -> JSONL fallback on failure
+// ------------------------------
+function logJsonlAppendResult(r, traceId, jobId) {
+  if (!r.ok) {
+    logger.warn("jsonl.append.fail", {
+      line: "L3B",
+      trace_id: traceId,
+      job_id: jobId,
+      ok: false,
+      error: r.error,
+    });
+  } else {
+    logger.info("jsonl.append.ok", {
+      line: "L3B",
+      trace_id: traceId,
+      job_id: jobId,
+      ok: true,
+    });
+  }
+}
+
+/** Returns the append result, or null with JSONL_FALLBACK=OFF. */
+async function appendFallbackJsonl(eventForSheets, reason, failedSinks) {
+  if (JSONL_FALLBACK !== "ON") return null;
+
+  const r = await appendJsonl({
+    ts: new Date().toISOString(),
+    kind: "ingest",
+    stage: "jsonl.fallback",
+    reason,
+    failed_sinks: failedSinks,
+    ...eventForSheets,
+  });
+  logJsonlAppendResult(r, eventForSheets.trace_id, eventForSheets.job_id);
+  return r;
+}
+
+function logSinkResult(sink, r, eventForSheets) {
+  const fields = {
+    line: "L3",
+    sink: sink.name,
+    trace_id: eventForSheets.trace_id,
+    job_id: eventForSheets.job_id,
+    ok: r.ok,
+    status: r.status,
+    latency_ms: r.latency_ms,
+  };
+  if (r.ok) logger.info("sink.send.ok", { ...fields, append_row: r.data?.append_row });
+  else logger.warn("sink.send.fail", { ...fields, error: r.error || r.data?.error });
+}
+
+/**
+ * Line 3-A: every "ingest" sink routed for this event, in parallel (no JSONL here).
+ * `only` (sink names) narrows the targets; replay uses it to skip sinks that already have it.
+ * Never throws; returns { sheets_ok (= all targets ok), error, failed_sinks, results }.
+ */
+async function sendEventToSinks(eventForSheets, only) {
+  let targets = sinksFor("ingest", eventForSheets);
+  if (only) targets = targets.filter((s) => only.includes(s.name));
+
+  const results = {};
+  await Promise.all(
+    targets.map(async (sink) => {
+      const r = await sendToSink(sink, "send", eventForSheets);
+      results[sink.name] = r;
+      logSinkResult(sink, r, eventForSheets);
+      recordJobEvent(eventForSheets, "sink.attempt", {
+        sink: sink.name,
+        ok: r.ok,
+        status: r.status,
+        latency_ms: r.latency_ms,
+        error: r.ok ? undefined : r.error || r.data?.error,
+        append_row: r.data?.append_row,
+        replay: eventForSheets.replayed_at ? true : undefined,
+      });
+    })
+  );
+
+  const failed = targets.filter((s) => !results[s.name].ok).map((s) => s.name);
+  const errorOf = (n) => results[n].error || results[n].data?.error || "sink_fail";
+  let error = null;
+  if (failed.length === 1 && targets.length === 1) error = errorOf(failed[0]);
+  else if (failed.length) error = failed.map((n) => `${n}: ${errorOf(n)}`).join("; ");
+
+  return { sheets_ok: failed.length === 0, error, failed_sinks: failed, results };
+}
+
+/**
+ * Never throws: Sheets/GAS problems end up in the JSONL fallback (if enabled).
+ * Returns { sheets_ok, error, failed_sinks, results, fallback_ok } (fallback_ok only on failure).
+ */
+async function forwardIngestEvent(eventForSheets) {
+  // -------- Line 3-B (optional): always write JSONL --------
+  if (JSONL_ALWAYS === "ON") {
+    const r = await appendJsonl({
+      ts: new Date().toISOString(),
+      kind: "ingest",
+      stage: "jsonl.always",
+      ...eventForSheets,
+    });
+    logJsonlAppendResult(r, eventForSheets.trace_id, eventForSheets.job_id);
+  }
+  // --------------------------------------------------------
+
+  // -------- Line 3-A: best-effort forward to the sinks (DO NOT break ingest) --------
+  const result = await sendEventToSinks(eventForSheets);
+
+  // -------- Line 3-B: fallback on sink failure (replay retries only the failed sinks) --------
+  if (!result.sheets_ok) {
+    const r = await appendFallbackJsonl(eventForSheets, result.error, result.failed_sinks);
+    result.fallback_ok = Boolean(r?.ok);
+  }
+
+  return result;
+}
+
+// ------------------------------
+// Async ack: /ingest writes jsonl.accepted and returns; the forwarder
+// walks the JSONL file from its own offset and does the GAS delivery.
+// ------------------------------
+let forwarderTimer = null;
+let forwarderBusy = false;
+const forwarderPendingTimes = []; // received_at (ms) of accepted-but-not-forwarded records, FIFO
+let forwarderStats = {
+  ticks: 0,
+  forwarded: 0,
+  sheets_ok: 0,
+  sheets_fail: 0,
+  last_tick_at: null,
+  last_error: null,
+};
+
+function forwarderStatePath() {
+  return path.join(JSONL_DIR, FORWARDER_STATE_FILE);
+}
+
+function forwarderLag() {
+  const oldest = forwarderPendingTimes[0];
+  return {
+    records: forwarderPendingTimes.length,
+    seconds: oldest ? Math.max(0, Math.round((Date.now() - oldest) / 1000)) : 0,
+  };
+}
+
+async function acceptIngestEventAsync(eventForSheets) {
+  const r = await appendJsonl({
+    ts: new Date().toISOString(),
+    kind: "ingest",
+    stage: "jsonl.accepted",
+    ...eventForSheets,
+  });
+  logJsonlAppendResult(r, eventForSheets.trace_id, eventForSheets.job_id);
+
+  if (!r.ok) {
+    // no durable copy -> deliver inline like SYNC mode
+    const out = await forwardIngestEvent(eventForSheets);
+    return { ...out, async: false };
+  }
+
+  forwarderPendingTimes.push(Date.parse(eventForSheets.received_at) || Date.now());
+  return { async: true };
+}
+
+function eventFromJsonlRecord(rec) {
+  const { ts, kind, stage, reason, failed_sinks, sinks, ...eventForSheets } = rec;
+  return eventForSheets;
+}
+
+async function forwarderTickOnce() {
+  forwarderStats.ticks += 1;
+  forwarderStats.last_tick_at = new Date().toISOString();
+
+  if (!INGEST_ASYNC_ENABLED) return { ok: true, skipped: true, reason: "async_ack_disabled" };
+  if (forwarderBusy) return { ok: true, skipped: true, reason: "forwarder_busy" };
+
+  forwarderBusy = true;
+
+  try {
+    const state = await loadOffsetState(forwarderStatePath());
+    assertStateUsable(state, forwarderStatePath());
+    const beforeSegment = state.segment_id;
+    const seg = await resolveJsonlCursor(state, "forwarder");
+    if (!seg) return { ok: true, skipped: true, reason: "no_jsonl_file" };
+
+    const filePath = seg.path;
+    const beforeOffset = state.offset;
+    const { entries, newOffset } = await readJsonlFromOffset(
+      filePath,
+      state.offset,
+      settings.REPLAY_MAX_BYTES_PER_TICK
+    );
+
+    let forwarded = 0;
+    let offset = state.offset;
+    let stopped = false;
+    let tickError = null;
+
+    for (const { rec, end } of entries) {
+      if (rec?.stage !== "jsonl.accepted") {
+        offset = end;
+        continue;
+      }
+      if (forwarded >= FORWARDER_BATCH_SIZE) {
+        stopped = true;
+        break;
+      }
+
+      const eventForSheets = eventFromJsonlRecord(rec);
+      const out = await sendEventToSinks(eventForSheets);
+
+      if (!out.sheets_ok) {
+        // hand over to replay; if even that write fails, retry this record next tick
+        const r = await appendJsonl({
+          ts: new Date().toISOString(),
+          kind: "ingest",
+          stage: "jsonl.fallback",
+          reason: out.error,
+          failed_sinks: out.failed_sinks,
+          ...eventForSheets,
+        });
+        logJsonlAppendResult(r, eventForSheets.trace_id, eventForSheets.job_id);
+        if (!r.ok) {
+          tickError = r.error;
+          stopped = true;
+          break;
+        }
+        forwarderStats.sheets_fail += 1;
+        state.failed = Number(state.failed || 0) + 1;
+      } else {
+        forwarderStats.sheets_ok += 1;
+        state.sent = Number(state.sent || 0) + 1;
+      }
+
+      forwarded += 1;
+      forwarderStats.forwarded += 1;
+      forwarderPendingTimes.shift();
+      offset = end;
+    }
+
+    // walked the whole chunk -> also skip trailing unparsable lines
+    if (!stopped) offset = newOffset;
+
+    forwarderStats.last_error = tickError;
+    if (
+      offset !== beforeOffset ||
+      state.segment_id !== beforeSegment ||
+      tickError !== state.last_error
+    ) {
+      state.offset = offset;
+      state.last_error = tickError;
+      await saveOffsetState(forwarderStatePath(), state);
+    }
+
+    return {
+      ok: true,
+      forwarded,
+      advanced: offset - beforeOffset,
+      segment: seg.name,
+      offset,
+      lag: forwarderLag(),
+    };
+  } catch (e) {
+    const msg = e?.message || String(e);
+    forwarderStats.last_error = msg;
+    return { ok: false, error: msg };
+  } finally {
+    forwarderBusy = false;
+  }
+}
+
+// rebuilds the in-memory lag FIFO from whatever is still past the saved offset
+async function initForwarder() {
+  if (INGEST_ACK_MODE === "ASYNC" && !JSONL_ENABLED) {
+    logger.warn("forwarder.async_ignored", {
+      line: "L3",
+      reason: "INGEST_ACK_MODE=ASYNC needs JSONL_ALWAYS or JSONL_FALLBACK",
+    });
+    return;
+  }
+  if (!INGEST_ASYNC_ENABLED) return;
+
+  try {
+    const state = await loadOffsetState(forwarderStatePath());
+    const seg = await resolveJsonlCursor(state, "forwarder");
+    const segments = await listJsonlSegments();
+    const start = seg ? segments.findIndex((s) => s.id === seg.id) : -1;
+
+    for (let i = Math.max(start, 0); seg && i < segments.length; i++) {
+      const { path: filePath, size } = segments[i];
+      let offset = i === start ? state.offset : 0;
+
+      while (offset < size) {
+        const r = await readJsonlFromOffset(filePath, offset, settings.REPLAY_MAX_BYTES_PER_TICK);
+        if (r.newOffset === offset) break;
+        for (const { rec } of r.entries) {
+          if (rec?.stage === "jsonl.accepted") {
+            forwarderPendingTimes.push(Date.parse(rec.received_at) || Date.now());
+          }
+        }
+        offset = r.newOffset;
+      }
+    }
+  } catch {
+    // no file yet
+  }
+
+  logger.info("forwarder.restored", { line: "L3", pending: forwarderPendingTimes.length });
+}
+
+function startForwarderIfEnabled() {
+  if (!INGEST_ASYNC_ENABLED) {
+    logger.info("forwarder.disabled", { line: "L3", ack_mode: INGEST_ACK_MODE });
+    return;
+  }
+  logger.info("forwarder.enabled", {
+    line: "L3",
+    interval_ms: FORWARDER_INTERVAL_MS,
+    batch_size: FORWARDER_BATCH_SIZE,
+  });
+  forwarderTimer = setInterval(() => {
+    forwarderTickOnce().catch((e) => {
+      logger.error("forwarder.fatal", { line: "L3", error: e });
+    });
+  }, FORWARDER_INTERVAL_MS);
+}
+
+// ------------------------------
+// Log sinks: every sink on the "log" pipeline (webhooks by default) tails the JSONL log
+// with its own cursor file, so a slow or failing destination never holds up the others.
+// A failed record is retried with per-sink backoff before the cursor moves past it.
+// ------------------------------
+const LOG_SINK_STAGES = new Set(["jsonl.always", "jsonl.accepted"]);
+const logSinkRuntime = new Map(); // sink name -> { busy, stats }
+let logSinkTimer = null;
+
+function logSinks() {
+  return sinks.filter((s) => s.cursor);
+}
+
+function logSinkStatePath(sink) {
+  return path.join(JSONL_DIR, sink.cursor.state_file);
+}
+
+function logSinkRuntimeFor(sink) {
+  let rt = logSinkRuntime.get(sink.name);
+  if (!rt) {
+    rt = {
+      busy: false,
+      stats: {
+        ticks: 0,
+        delivered: 0,
+        failed: 0,
+        dead_lettered: 0,
+        last_delivered_at: null,
+        last_error: null,
+        head_attempts: 0,
+        retry_at: null,
+        segment: null,
+        offset: 0,
+        bytes_behind: 0,
+      },
+    };
+    logSinkRuntime.set(sink.name, rt);
+  }
+  return rt;
+}
+
+// "jsonl.redeliver" records come from requeued dead letters and name their sink(s)
+function logSinkWants(sink, rec) {
+  const stage = rec?.stage;
+  if (stage === "jsonl.redeliver") return Array.isArray(rec.sinks) && rec.sinks.includes(sink.name);
+  if (!LOG_SINK_STAGES.has(stage)) return false;
+  return (
+    sinkRuleMatches(sink.sources, rec.source) && sinkRuleMatches(sink.event_types, rec.event_type)
+  );
+}
+
+// from: "end" -> a destination without a cursor yet skips the existing log
+async function startLogSinkCursor(sink, state) {
+  if (state.updated_at || sink.cursor.from !== "end") return;
+  const segments = await listJsonlSegments();
+  const live = segments.find((s) => s.live);
+  if (!live) return;
+  const rotated = segments.filter((s) => !s.live);
+  bindCursor(state, live, live.size);
+  state.drained_through = rotated.length ? rotated[rotated.length - 1].name : null;
+}
+
+async function logSinkTickOnce(sink) {
+  const rt = logSinkRuntimeFor(sink);
+  rt.stats.ticks += 1;
+
+  if (!JSONL_ENABLED) return { ok: true, skipped: true, reason: "jsonl_disabled" };
+  if (rt.busy) return { ok: true, skipped: true, reason: "sink_busy" };
+
+  rt.busy = true;
+
+  try {
+    const statePath = logSinkStatePath(sink);
+    const state = await loadOffsetState(statePath);
+    assertStateUsable(state, statePath);
+    await startLogSinkCursor(sink, state);
+    const seg = await resolveJsonlCursor(state, `sink:${sink.name}`);
+    if (!seg) return { ok: true, skipped: true, reason: "no_jsonl_file" };
+
+    const beforeOffset = state.offset;
+
+    if (state.head_next_attempt_at && Date.now() < state.head_next_attempt_at) {
       return {
         ok: true,
-        sent: 0,
-        advanced: state.offset - beforeOffset,
-        offset: state.offset,
-        note: "no_replay_candidates",
-      };
+        skipped: true,
+        reason: "sink_backoff",
+        retry_at: new Date(state.head_next_attempt_at).toISOString(),
+      };
+    }
+
+    const { entries, newOffset } = await readJsonlFromOffset(
+      seg.path,
+      state.offset,
+      settings.REPLAY_MAX_BYTES_PER_TICK
+    );
+
+    let delivered = 0;
+    let offset = state.offset;
+    let stopped = false;
+    let error = null;
+
+    for (const { rec, end } of entries) {
+      if (!logSinkWants(sink, rec)) {
+        offset = end;
+        continue;
+      }
+      if (delivered >= WEBHOOK_BATCH_SIZE) {
+        stopped = true;
+        break;
+      }
+
+      const event = eventFromJsonlRecord(rec);
+      const r = await sendToSink(sink, "send", event);
+      logSinkResult(sink, r, event);
+      recordJobEvent(event, "sink.attempt", {
+        sink: sink.name,
+        ok: r.ok,
+        status: r.status,
+        latency_ms: r.latency_ms,
+        error: r.ok ? undefined : r.error,
+      });
+
+      if (!r.ok) {
+        error = r.error || "sink_fail";
+        rt.stats.failed += 1;
+        state.failed = Number(state.failed || 0) + 1;
+
+        const now = Date.now();
+        if (state.head_offset !== offset) {
+          state.head_offset = offset;
+          state.head_attempts = 0;
+          state.head_first_failed_at = new Date(now).toISOString();
+        }
+        state.head_attempts += 1;
+
+        if (sink.cursor.max_attempts > 0 && state.head_attempts >= sink.cursor.max_attempts) {
+          const dl = await writeDeadLetter({
+            origin: "sink",
+            error,
+            attempts: state.head_attempts,
+            first_failed_at: state.head_first_failed_at,
+            ref: { sink: sink.name, file: seg.path, offset },
+            item: rec,
+          });
+
+          if (dl.ok) {
+            rt.stats.dead_lettered += 1;
+            recordJobEvent(rec, "dead_lettered", {
+              dead_letter_id: dl.id,
+              sink: sink.name,
+              attempts: state.head_attempts,
+              error,
+            });
+            clearReplayHead(state);
+            offset = end;
+            continue;
+          }
+        }
+
+        const backoff = Math.min(
+          sink.cursor.backoff_base_ms * Math.pow(2, state.head_attempts - 1),
+          sink.cursor.backoff_max_ms
+        );
+        state.head_next_attempt_at = now + backoff;
+        stopped = true;
+        break;
+      }
+
+      delivered += 1;
+      rt.stats.delivered += 1;
+      rt.stats.last_delivered_at = new Date().toISOString();
+      state.sent = Number(state.sent || 0) + 1;
+      clearReplayHead(state);
+      offset = end;
+    }
+
+    if (!stopped) offset = newOffset;
+
+    state.offset = offset;
+    state.last_error = error;
+    await saveOffsetState(statePath, state);
+
+    rt.stats.last_error = error;
+    rt.stats.head_attempts = state.head_attempts;
+    rt.stats.retry_at = state.head_next_attempt_at
+      ? new Date(state.head_next_attempt_at).toISOString()
+      : null;
+    rt.stats.segment = seg.name;
+    rt.stats.offset = offset;
+    rt.stats.bytes_behind = (await jsonlBacklog(state)).bytes_behind;
+
+    return {
+      ok: !error,
+      delivered,
+      advanced: offset - beforeOffset,
+      segment: seg.name,
+      offset,
+      error: error || undefined,
+    };
+  } catch (e) {
+    const msg = e?.message || String(e);
+    rt.stats.last_error = msg;
+    return { ok: false, error: msg };
+  } finally {
+    rt.busy = false;
+  }
+}
+
+// each sink ticks on its own; the busy flag keeps a slow one from overlapping itself
+function startLogSinksIfEnabled() {
+  const list = logSinks();
+  if (list.length === 0) return;
+
+  if (!JSONL_ENABLED) {
+    logger.warn("sinks.log_disabled", {
+      line: "SINK",
+      sinks: list.map((s) => s.name),
+      reason: "log sinks need JSONL_ALWAYS or JSONL_FALLBACK",
+    });
+    return;
+  }
+  if (JSONL_ALWAYS !== "ON" && !INGEST_ASYNC_ENABLED) {
+    logger.warn("sinks.log_incomplete", {
+      line: "SINK",
+      sinks: list.map((s) => s.name),
+      reason: "only JSONL_ALWAYS=ON or INGEST_ACK_MODE=ASYNC log every event",
+    });
+  }
+
+  logger.info("sinks.log_enabled", {
+    line: "SINK",
+    sinks: list.map((s) => s.name),
+    interval_ms: WEBHOOK_INTERVAL_MS,
+  });
+  logSinkTimer = setInterval(() => {
+    for (const sink of logSinks()) {
+      logSinkTickOnce(sink).catch((e) => {
+        logger.error("sinks.log_fatal", { line: "SINK", sink: sink.name, error: e });
+      });
+    }
+  }, WEBHOOK_INTERVAL_MS);
+}
+
+function deliverIngestEvent(eventForSheets) {
+  return INGEST_ASYNC_ENABLED
+    ? acceptIngestEventAsync(eventForSheets)
+    : forwardIngestEvent(eventForSheets);
+}
+
+// ------------------------------
+// Line 2: INGEST (order intake)
+// + Line 3-A: Forward to Sheets (GAS Web App)
+// + Line 3-B: JSONL fallback (durable)
+// ------------------------------
+app.post("/ingest", verifySignature, requireScope("ingest:write"), limitRate, async (req, res) => {
+  const start = Date.now();
+  const traceId = req.traceId;
+
+  try {
+    const { source, event_type, payload, schema_version } = req.body || {};
+
+    if (!source || !event_type || !payload) {
+      const latency = Date.now() - start;
+      req.log.warn("ingest.reject", {
+        line: "L2",
+        ok: false,
+        error: "BAD_REQUEST",
+        latency_ms: latency,
+      });
+
+      return res.status(400).json({
+        ok: false,
+        error: "BAD_REQUEST",
+        detail: "source,event_type,payload are required",
+        trace_id: traceId,
+        mode: "v7.9-OPS-L2",
+      });
+    }
+
+    if (!sourceAllowed(req.auth, source)) {
+      req.log.warn("ingest.reject", {
+        line: "L2",
+        source,
+        ok: false,
+        error: "SOURCE_NOT_ALLOWED",
+        latency_ms: Date.now() - start,
+      });
+
+      return res.status(403).json({
+        ok: false,
+        error: "SOURCE_NOT_ALLOWED",
+        detail: `key is not allowed to send source=${source}`,
+        trace_id: traceId,
+        mode: "v7.9-OPS-L2",
+      });
+    }
+
+    // ---- Idempotency: a retried request gets the original job back ----
+    const idemKey = IDEMPOTENCY === "ON" ? extractIdempotencyKey(req) : null;
+    const scopedKey = idemKey ? `${source}:${idemKey}` : null;
+    const bodyHash = idemKey ? sha256(JSON.stringify({ event_type, payload })) : null;
+
+    if (scopedKey) {
+      const existing =
+        getIdempotencyEntry(scopedKey) ||
+        (idempotencyInflight.has(scopedKey) ? await idempotencyInflight.get(scopedKey) : null);
+
+      if (existing) {
+        if (existing.body_hash !== bodyHash) {
+          return res.status(409).json({
+            ok: false,
+            error: "IDEMPOTENCY_KEY_REUSED",
+            detail: "Idempotency-Key was already used with a different body",
+            job_id: existing.job_id,
+            trace_id: traceId,
+            mode: "v7.9-OPS-L2",
+          });
+        }
+
+        idempotencyReplays += 1;
+        req.log.info("ingest.idempotent_replay", {
+          line: "L2",
+          trace_id: existing.trace_id,
+          job_id: existing.job_id,
+          request_trace_id: traceId,
+        });
+
+        res.set("Idempotent-Replayed", "true");
+        return res.status(200).json({
+          ok: true,
+          job_id: existing.job_id,
+          trace_id: existing.trace_id,
+          received_at: existing.received_at,
+          latency_ms: Date.now() - start,
+          idempotent_replay: true,
+          mode: "v7.9-OPS-L2",
+        });
+      }
+    }
+
+    const validation = validateIngestPayload(event_type, payload, schema_version);
+    if (isSchemaRejected(validation)) {
+      const latency = Date.now() - start;
+      req.log.warn("ingest.reject", {
+        line: "L2",
+        source,
+        event_type,
+        ok: false,
+        error: "SCHEMA_VALIDATION_FAILED",
+        schema_status: validation.status,
+        schema_version: validation.version,
+        schema_errors: validation.errors.slice(0, 20),
+        latency_ms: latency,
+      });
+
+      return res.status(422).json({
+        ok: false,
+        error: "SCHEMA_VALIDATION_FAILED",
+        schema_status: validation.status,
+        event_type,
+        schema_version: validation.version,
+        errors: validation.errors,
+        trace_id: traceId,
+        mode: "v7.9-OPS-L2",
+      });
+    }
+
+    const jobId = newJobId();
+
+    // ---- Dedupe (DEDUPE_INGEST=ON): the same event again inside DEDUPE_WINDOW_MS ----
+    const seen =
+      DEDUPE_INGEST === "ON"
+        ? dedupeCheck(`ingest:${source}:${dedupeFingerprint(req.body)}`, jobId, traceId)
+        : null;
+    if (seen) {
+      req.log.info("ingest.duplicate", {
+        line: "L2",
+        source,
+        event_type,
+        duplicate_of: seen.ref,
+        policy: DEDUPE_POLICY,
+      });
+    }
+    if (seen && DEDUPE_POLICY === "DROP") {
+      return res.status(200).json({
+        ok: true,
+        job_id: seen.ref,
+        trace_id: seen.trace_id,
+        latency_ms: Date.now() - start,
+        duplicate: true,
+        dropped: true,
+        mode: "v7.9-OPS-L2",
+      });
     }
 
-    // stop-on-first-failure (never advance offset on partial failure)
-    for (const rec of candidates) {
-      const eventForSheets = {
-        job_id: rec.job_id || "",
-        trace_id: rec.trace_id || "",
-        source: rec.source || "",
-        event_type: rec.event_type || "",
-        payload: rec.payload ?? {},
-        received_at: rec.received_at || rec.ts || new Date().toISOString(),
-        ingest_latency_ms: typeof rec.ingest_latency_ms === "number" ? rec.ingest_latency_ms : "",
-        replayed_at: new Date().toISOString(),
-      };
+    const latency = Date.now() - start;
+    const receivedAt = new Date().toISOString();
 
-      const r = await postToGASForSheets(eventForSheets);
-      if (!r.ok) {
-        replayStats.failed += 1;
-        replayStats.last_error = r.error || r.data?.error || "replay_send_fail";
+    req.log.info("ingest.received", {
+      line: "L2",
+      source,
+      event_type,
+    });
+
+    req.log.info("ingest.ack", {
+      line: "L2",
+      job_id: jobId,
+      ok: true,
+      latency_ms: latency,
+    });
+
+    // Build payload for Sheets + fallback
+    const eventForSheets = {
+      job_id: jobId,
+      trace_id: traceId,
+      source,
+      event_type,
+      payload,
+      received_at: receivedAt,
+      ingest_latency_ms: latency,
+    };
+    if (req.auth) eventForSheets.auth_key_id = req.auth.key_id;
+    if (seen && DEDUPE_POLICY === "FLAG") eventForSheets.duplicate_of = seen.ref;
+
+    applySchemaTags(eventForSheets, validation);
+    recordJobEvent(eventForSheets, "received", {
+      source,
+      event_type,
+      key_id: req.auth?.key_id,
+      ack_mode: INGEST_ASYNC_ENABLED ? "async" : "sync",
+    });
+
+    let delivery;
+    if (scopedKey) {
+      // concurrent retries with the same key wait for this request instead of forwarding again
+      let settle;
+      idempotencyInflight.set(scopedKey, new Promise((resolve) => (settle = resolve)));
+      try {
+        delivery = await deliverIngestEvent(eventForSheets);
+        const entry = {
+          key: scopedKey,
+          body_hash: bodyHash,
+          job_id: jobId,
+          trace_id: traceId,
+          received_at: receivedAt,
+          created_at_ms: Date.now(),
+        };
+        await saveIdempotencyEntry(entry);
+        settle(entry);
+      } catch (e) {
+        settle(null);
+        throw e;
+      } finally {
+        idempotencyInflight.delete(scopedKey);
+      }
+    } else {
+      delivery = await deliverIngestEvent(eventForSheets);
+    }
+
+    return res.status(200).json({
+      ok: true,
+      job_id: jobId,
+      trace_id: traceId,
+      received_at: receivedAt,
+      latency_ms: latency,
+      schema_status: validation.status === "off" ? undefined : validation.status,
+      schema_errors: validation.errors.length ? validation.errors : undefined,
+      ack_mode: delivery?.async ? "async" : "sync",
+      duplicate_of: seen ? seen.ref : undefined,
+      mode: "v7.9-OPS-L2",
+    });
+  } catch (err) {
+    const latency = Date.now() - start;
+    req.log.error("ingest.fail", {
+      line: "L2",
+      ok: false,
+      error: err.message,
+      latency_ms: latency,
+    });
+
+    return res.status(500).json({
+      ok: false,
+      error: "INTERNAL",
+      trace_id: traceId,
+      mode: "v7.9-OPS-L2",
+    });
+  }
+});
+
+// ------------------------------
+// Line 2: BATCH INGEST (JSON array, {items:[...]} or NDJSON)
+// Per-item validation, one JSONL append per stage, GAS posts in chunks
+// (INGEST_ACK_MODE=ASYNC: one jsonl.accepted append, the forwarder posts).
+// ------------------------------
+function parseBatchBody(body) {
+  if (typeof body === "string") {
+    // NDJSON: keep bad lines as per-item errors instead of failing the batch
+    return {
+      items: body
+        .split("\n")
+        .map((l) => l.trim())
+        .filter(Boolean)
+        .map((l, i) => {
+          try {
+            return JSON.parse(l);
+          } catch (e) {
+            return { __parse_error: `line ${i + 1}: ${e.message}` };
+          }
+        }),
+    };
+  }
+  if (Array.isArray(body)) return { items: body };
+  if (Array.isArray(body?.items)) return { items: body.items };
+  return { error: "body must be a JSON array, {items:[...]} or NDJSON" };
+}
+
+app.post(
+  "/ingest/batch",
+  express.text({
+    type: ["application/x-ndjson", "application/ndjson"],
+    limit: JSON_LIMIT,
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  }),
+  verifyBatchSignature,
+  requireScope("ingest:write"),
+  rateLimit(batchSources),
+  async (req, res) => {
+    const start = Date.now();
+    const batchTraceId = req.traceId;
+
+    try {
+      const { items, error } = parseBatchBody(req.body);
+      if (error || items.length === 0) {
+        return res.status(400).json({
+          ok: false,
+          error: "BAD_REQUEST",
+          detail: error || "batch is empty",
+          trace_id: batchTraceId,
+          mode: "v7.9-OPS-L2",
+        });
+      }
+      if (items.length > INGEST_BATCH_MAX_ITEMS) {
+        return res.status(413).json({
+          ok: false,
+          error: "BATCH_TOO_LARGE",
+          detail: `max ${INGEST_BATCH_MAX_ITEMS} items per batch`,
+          trace_id: batchTraceId,
+          mode: "v7.9-OPS-L2",
+        });
+      }
+
+      const receivedAt = new Date().toISOString();
+      const results = [];
+      const accepted = []; // { index, eventForSheets }
+
+      items.forEach((item, index) => {
+        if (item?.__parse_error) {
+          results.push({ index, ok: false, error: "INVALID_JSON", detail: item.__parse_error });
+          return;
+        }
+
+        const { source, event_type, payload, schema_version } = item || {};
+        if (!source || !event_type || !payload) {
+          results.push({
+            index,
+            ok: false,
+            error: "BAD_REQUEST",
+            detail: "source,event_type,payload are required",
+          });
+          return;
+        }
+
+        const sigError = batchItemSignatureError(req, source);
+        if (sigError) {
+          results.push({ index, ok: false, error: "BAD_SIGNATURE", detail: sigError });
+          return;
+        }
+
+        if (!sourceAllowed(req.auth, source)) {
+          results.push({
+            index,
+            ok: false,
+            error: "SOURCE_NOT_ALLOWED",
+            detail: `key is not allowed to send source=${source}`,
+          });
+          return;
+        }
+
+        const validation = validateIngestPayload(event_type, payload, schema_version);
+        if (isSchemaRejected(validation)) {
+          results.push({
+            index,
+            ok: false,
+            error: "SCHEMA_VALIDATION_FAILED",
+            schema_status: validation.status,
+            schema_version: validation.version,
+            errors: validation.errors,
+          });
+          return;
+        }
+
+        const jobId = newJobId();
+        const traceId = item.trace_id ? String(item.trace_id) : `${batchTraceId}.${index}`;
+        const seen =
+          DEDUPE_INGEST === "ON"
+            ? dedupeCheck(`ingest:${source}:${dedupeFingerprint(item)}`, jobId, traceId)
+            : null;
+        if (seen && DEDUPE_POLICY === "DROP") {
+          results.push({
+            index,
+            ok: true,
+            job_id: seen.ref,
+            trace_id: seen.trace_id,
+            duplicate: true,
+            dropped: true,
+          });
+          return;
+        }
+
+        const eventForSheets = {
+          job_id: jobId,
+          trace_id: traceId,
+          source,
+          event_type,
+          payload,
+          received_at: receivedAt,
+          ingest_latency_ms: Date.now() - start,
+          batch_trace_id: batchTraceId,
+        };
+        if (req.auth) eventForSheets.auth_key_id = req.auth.key_id;
+        if (seen && DEDUPE_POLICY === "FLAG") eventForSheets.duplicate_of = seen.ref;
+        applySchemaTags(eventForSheets, validation);
+        recordJobEvent(eventForSheets, "received", {
+          source,
+          event_type,
+          key_id: req.auth?.key_id,
+          batch_trace_id: batchTraceId,
+        });
+
+        accepted.push({ index, eventForSheets });
+        results.push({
+          index,
+          ok: true,
+          job_id: jobId,
+          trace_id: eventForSheets.trace_id,
+          schema_status: validation.status === "off" ? undefined : validation.status,
+          duplicate_of: seen ? seen.ref : undefined,
+          sheets_ok: null,
+          fallback: false,
+        });
+      });
+
+      req.log.info("ingest.batch.received", {
+        line: "L2",
+        count: items.length,
+        accepted: accepted.length,
+        rejected: items.length - accepted.length,
+      });
+
+      // -------- Async ack: one jsonl.accepted append, the forwarder delivers --------
+      let ackMode = "sync";
+      if (INGEST_ASYNC_ENABLED && accepted.length > 0) {
+        const r = await appendJsonlBatch(
+          accepted.map((a) => ({
+            ts: new Date().toISOString(),
+            kind: "ingest",
+            stage: "jsonl.accepted",
+            ...a.eventForSheets,
+          }))
+        );
+        logJsonlAppendResult(r, batchTraceId, `batch:${accepted.length}`);
+        if (r.ok) {
+          ackMode = "async";
+          for (const a of accepted) {
+            forwarderPendingTimes.push(Date.parse(receivedAt) || Date.now());
+            results[a.index].fallback = undefined;
+          }
+        }
+        // no durable copy -> deliver inline like SYNC mode
+      }
+      const inline = ackMode === "sync" ? accepted : [];
+
+      // -------- Line 3-B (optional): always write JSONL, one append for the batch --------
+      if (JSONL_ALWAYS === "ON" && inline.length > 0) {
+        const r = await appendJsonlBatch(
+          inline.map((a) => ({
+            ts: new Date().toISOString(),
+            kind: "ingest",
+            stage: "jsonl.always",
+            ...a.eventForSheets,
+          }))
+        );
+        logJsonlAppendResult(r, batchTraceId, `batch:${inline.length}`);
+      }
+
+      // -------- Line 3-A: GAS in chunks of INGEST_BATCH_GAS_CONCURRENCY --------
+      for (let i = 0; i < inline.length; i += INGEST_BATCH_GAS_CONCURRENCY) {
+        const chunk = inline.slice(i, i + INGEST_BATCH_GAS_CONCURRENCY);
+        const outcomes = await Promise.all(chunk.map((a) => sendEventToSinks(a.eventForSheets)));
+
+        outcomes.forEach((o, k) => {
+          const r = results[chunk[k].index];
+          r.sheets_ok = o.sheets_ok;
+          if (!o.sheets_ok) {
+            r.sheets_error = o.error;
+            chunk[k].failed_sinks = o.failed_sinks;
+          }
+        });
+      }
+
+      // -------- Line 3-B: fallback for the failed ones, one append --------
+      const failed = inline.filter((a) => !results[a.index].sheets_ok);
+      if (JSONL_FALLBACK === "ON" && failed.length > 0) {
+        const r = await appendJsonlBatch(
+          failed.map((a) => ({
+            ts: new Date().toISOString(),
+            kind: "ingest",
+            stage: "jsonl.fallback",
+            reason: results[a.index].sheets_error,
+            failed_sinks: a.failed_sinks,
+            ...a.eventForSheets,
+          }))
+        );
+        logJsonlAppendResult(r, batchTraceId, `batch:${failed.length}`);
+        for (const a of failed) results[a.index].fallback = Boolean(r.ok);
+      }
+
+      return res.status(200).json({
+        ok: accepted.length === items.length,
+        trace_id: batchTraceId,
+        count: items.length,
+        accepted: accepted.length,
+        rejected: items.length - accepted.length,
+        received_at: receivedAt,
+        latency_ms: Date.now() - start,
+        ack_mode: ackMode,
+        results,
+        mode: "v7.9-OPS-L2",
+      });
+    } catch (err) {
+      req.log.error("ingest.batch.fail", {
+        line: "L2",
+        ok: false,
+        error: err?.message || String(err),
+        latency_ms: Date.now() - start,
+      });
+
+      return res.status(500).json({
+        ok: false,
+        error: "INTERNAL",
+        trace_id: batchTraceId,
+        mode: "v7.9-OPS-L2",
+      });
+    }
+  }
+);
+
+// ------------------------------
+// Telegram webhook -> Line 3 pipeline
+// ------------------------------
+const TG_UPDATE_KINDS = [
+  "message",
+  "edited_message",
+  "channel_post",
+  "edited_channel_post",
+  "callback_query",
+];
+const tgSeenUpdates = new Map(); // update_id -> ts, oldest first
+const tgClaimedUpdates = new Set(); // update_ids still being delivered (not persisted yet)
+let tgWriteChain = Promise.resolve();
+let tgAppendsSinceCompact = 0;
+let tgDedupeLastError = null;
+
+function tgUpdatesPath() {
+  return path.join(JSONL_DIR, TG_DEDUPE_FILE);
+}
+
+function pruneTgUpdates(now) {
+  cleanupMapByWindow(tgSeenUpdates, now, TG_DEDUPE_WINDOW_MS);
+  while (tgSeenUpdates.size > TG_DEDUPE_LIMIT) {
+    tgSeenUpdates.delete(tgSeenUpdates.keys().next().value);
+  }
+}
+
+function rewriteTgUpdatesFile() {
+  tgWriteChain = tgWriteChain
+    .then(async () => {
+      pruneTgUpdates(Date.now());
+      const body = [...tgSeenUpdates]
+        .filter(([id]) => !tgClaimedUpdates.has(id))
+        .map(([id, ts]) => JSON.stringify({ update_id: id, seen_at_ms: ts }) + "\n")
+        .join("");
+
+      await ensureDirExists(JSONL_DIR);
+      await writeFileAtomic(tgUpdatesPath(), body);
+      tgAppendsSinceCompact = 0;
+      return { ok: true };
+    })
+    .catch((err) => {
+      tgDedupeLastError = String(err?.message || err);
+      return { ok: false, error: tgDedupeLastError };
+    });
+
+  return tgWriteChain;
+}
+
+/** Records a handled update_id (DEDUPE_PERSIST=ON); rewritten every TG_DEDUPE_LIMIT appends. */
+function saveTgUpdate(updateId, ts) {
+  if (DEDUPE_PERSIST !== "ON") return;
+  tgAppendsSinceCompact += 1;
+  if (tgAppendsSinceCompact >= TG_DEDUPE_LIMIT) {
+    rewriteTgUpdatesFile();
+    return;
+  }
+
+  const line = JSON.stringify({ update_id: updateId, seen_at_ms: ts }) + "\n";
+  tgWriteChain = tgWriteChain
+    .then(async () => {
+      await ensureDirExists(JSONL_DIR);
+      await fs.promises.appendFile(tgUpdatesPath(), line, "utf8");
+      return { ok: true };
+    })
+    .catch((err) => {
+      tgDedupeLastError = String(err?.message || err);
+      return { ok: false, error: tgDedupeLastError };
+    });
+}
 
-        state.last_error = replayStats.last_error;
-        state.failed = Number(state.failed || 0) + 1;
-        await saveReplayState(state);
+async function loadTgUpdates() {
+  if (DEDUPE_PERSIST !== "ON") return;
 
-        return { ok: false, sent: 0, offset: state.offset, error: replayStats.last_error };
-      }
+  let raw = "";
+  try {
+    raw = await fs.promises.readFile(tgUpdatesPath(), "utf8");
+  } catch {
+    // first boot
+  }
 
-      replayStats.sent += 1;
-      state.sent = Number(state.sent || 0) + 1;
+  const entries = [];
+  for (const l of raw.split("\n")) {
+    if (!l) continue;
+    try {
+      const e = JSON.parse(l);
+      if (typeof e?.update_id === "number" && Number.isFinite(e.seen_at_ms)) entries.push(e);
+    } catch {
+      // torn line
     }
+  }
+  entries.sort((a, b) => a.seen_at_ms - b.seen_at_ms);
+  for (const e of entries) tgSeenUpdates.set(e.update_id, e.seen_at_ms);
 
-    state.offset = newOffset;
-    state.last_error = null;
-    await saveReplayState(state);
+  await rewriteTgUpdatesFile();
+  logger.info("tg.dedupe.loaded", { updates: tgSeenUpdates.size, window_ms: TG_DEDUPE_WINDOW_MS });
+}
 
-    return {
-      ok: true,
-      sent: candidates.length,
-      advanced: state.offset - beforeOffset,
-      offset: state.offset,
-    };
+function pickTelegramUser(u) {
+  if (!u) return null;
+  return {
+    id: u.id,
+    is_bot: Boolean(u.is_bot),
+    username: u.username || null,
+    first_name: u.first_name || null,
+    last_name: u.last_name || null,
+    language_code: u.language_code || null,
+  };
+}
+
+/**
+ * Flattens the fields we query on and keeps the full original object in `message`.
+ * Returns null for update kinds we don't handle.
+ */
+function normalizeTelegramUpdate(update) {
+  const kind = TG_UPDATE_KINDS.find((k) => update[k]);
+  if (!kind) return null;
+
+  const obj = update[kind];
+  const isCallback = kind === "callback_query";
+  const msg = isCallback ? obj.message : obj;
+
+  return {
+    update_id: update.update_id,
+    kind,
+    chat_id: msg?.chat?.id ?? null,
+    chat_type: msg?.chat?.type ?? null,
+    chat_title: msg?.chat?.title ?? null,
+    message_id: msg?.message_id ?? null,
+    from: pickTelegramUser(obj.from || msg?.sender_chat),
+    date: msg?.date ? new Date(msg.date * 1000).toISOString() : null,
+    edit_date: msg?.edit_date ? new Date(msg.edit_date * 1000).toISOString() : null,
+    text: isCallback ? null : msg?.text ?? msg?.caption ?? null,
+    callback_query_id: isCallback ? obj.id : null,
+    callback_data: isCallback ? obj.data ?? null : null,
+    message: obj,
+  };
+}
+
+// Pre-pipeline S0 log row, kept for deployments that still point SHEETS_INGEST_URL at it
+async function postTelegramS0({ job_id, trace_id, received_at, ingest_latency_ms }) {
+  const u = new URL(SHEETS_INGEST_URL);
+  if (ITPLAYLAB_SECRET) u.searchParams.set("__secret", ITPLAYLAB_SECRET);
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 8000);
+  try {
+    const resp = await fetch(u.toString(), {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        received_at,
+        job_id: "tg_ingest",
+        trace_id,
+        source: "telegram",
+        event_type: "ingest.received",
+        ingest_latency_ms,
+        payload_json: {},
+        gas_ok: true,
+      }),
+      signal: controller.signal,
+    });
+    logger.info("tg.s0", { line: "TG", job_id, trace_id, status: resp.status });
   } catch (e) {
-    const msg = e?.message || String(e);
-    replayStats.failed += 1;
-    replayStats.last_error = msg;
-    return { ok: false, error: msg };
+    logger.warn("tg.s0_fail", { line: "TG", job_id, trace_id, error: e });
   } finally {
-    replayBusy = false;
+    clearTimeout(timeout);
   }
 }
 
-function startReplayWorkerIfEnabled() {
-  if (REPLAY_ENABLED !== "ON") {
-    console.log(`[replay] disabled (REPLAY_ENABLED=${REPLAY_ENABLED})`);
-    return;
+// The 200 tells Telegram to drop the update, so it is sent only once the update is durable:
+// ASYNC ack mode writes jsonl.accepted (forwarder delivers), SYNC waits for the sinks or the
+// JSONL fallback. Anything else releases the update_id and answers 503 so Telegram re-delivers.
+app.post("/tg/webhook", async (req, res) => {
+  const start = Date.now();
+  const traceId = req.traceId;
+
+  if (TG_WEBHOOK_SECRET) {
+    const token = req.headers["x-telegram-bot-api-secret-token"] || "";
+    if (!safeEqual(token, TG_WEBHOOK_SECRET)) {
+      req.log.warn("tg.reject", {
+        line: "TG",
+        ok: false,
+        error: token ? "BAD_SECRET_TOKEN" : "MISSING_SECRET_TOKEN",
+      });
+      return res.status(401).json({ ok: false, error: "UNAUTHORIZED", trace_id: traceId });
+    }
   }
-  console.log(
-    `[replay] enabled interval=${REPLAY_INTERVAL_MS}ms batch=${REPLAY_BATCH_SIZE} mode=${REPLAY_MODE}`
-  );
-  replayTimer = setInterval(() => {
-    replayTickOnce().catch((e) => {
-      console.error("[replay-fatal]", e?.message || String(e));
+
+  const update = req.body || {};
+  const updateId = update.update_id;
+  if (typeof updateId !== "number") {
+    return res.status(400).json({
+      ok: false,
+      error: "BAD_REQUEST",
+      detail: "update_id is required",
+      trace_id: traceId,
     });
-  }, REPLAY_INTERVAL_MS);
-}
+  }
 
-// ------------------------------
-// Line 2: INGEST (order intake)
-// + Line 3-A: Forward to Sheets (GAS Web App)
-// + Line 3-B: JSONL fallback (durable)
-// ------------------------------
-app.post("/ingest", express.json({ limit: "2mb" }), async (req, res) => {
-  const start = Date.now();
-  const traceId = req.headers["x-request-id"] || crypto.randomUUID();
+  // Telegram re-delivers until it gets a 2xx -> ack duplicates without reprocessing
+  const now = Date.now();
+  pruneTgUpdates(now);
+  if (tgSeenUpdates.has(updateId)) {
+    req.log.info("tg.duplicate", {
+      line: "TG",
+      update_id: updateId,
+    });
+    return res.status(200).json({ ok: true, duplicate: true, update_id: updateId });
+  }
+
+  const normalized = normalizeTelegramUpdate(update);
+  if (!normalized) {
+    tgSeenUpdates.set(updateId, now);
+    saveTgUpdate(updateId, now);
+    return res.status(200).json({ ok: true, ignored: true, update_id: updateId });
+  }
+
+  // claim before awaiting so a concurrent re-delivery is treated as duplicate
+  tgSeenUpdates.set(updateId, now);
+  tgClaimedUpdates.add(updateId);
+  pruneTgUpdates(now);
 
   try {
-    const { source, event_type, payload } = req.body || {};
+    const jobId = newJobId();
+    const receivedAt = new Date().toISOString();
+    const eventType = `telegram.${normalized.kind}`;
 
-    if (!source || !event_type || !payload) {
-      const latency = Date.now() - start;
-      console.warn(
-        JSON.stringify({
-          ts: new Date().toISOString(),
-          level: "WARN",
-          line: "L2",
-          event: "ingest.reject",
-          trace_id: traceId,
-          ok: false,
-          error: "BAD_REQUEST",
-          latency_ms: latency,
-        })
-      );
+    req.log.info("ingest.received", {
+      line: "TG",
+      job_id: jobId,
+      source: "telegram",
+      event_type: eventType,
+      update_id: updateId,
+    });
 
-      return res.status(400).json({
+    const eventForSheets = {
+      job_id: jobId,
+      trace_id: traceId,
+      source: "telegram",
+      event_type: eventType,
+      payload: normalized,
+      received_at: receivedAt,
+      ingest_latency_ms: Date.now() - start,
+    };
+    recordJobEvent(eventForSheets, "received", {
+      source: "telegram",
+      event_type: eventType,
+      update_id: updateId,
+    });
+    const out = INGEST_ASYNC_ENABLED
+      ? await acceptIngestEventAsync(eventForSheets)
+      : await forwardIngestEvent(eventForSheets);
+
+    if (!out.async && !out.sheets_ok && !out.fallback_ok) {
+      tgClaimedUpdates.delete(updateId);
+      tgSeenUpdates.delete(updateId); // let Telegram retry
+      req.log.warn("tg.not_durable", {
+        line: "TG",
+        job_id: jobId,
+        update_id: updateId,
         ok: false,
-        error: "BAD_REQUEST",
-        detail: "source,event_type,payload are required",
+        error: out.error,
+      });
+      return res.status(503).json({
+        ok: false,
+        error: "NOT_DELIVERED",
+        detail: out.error,
+        job_id: jobId,
         trace_id: traceId,
-        mode: "v7.9-OPS-L2",
       });
     }
 
-    const jobId =
-      "job_" +
-      new Date().toISOString().replace(/[-:.TZ]/g, "") +
-      "_" +
-      crypto.randomBytes(3).toString("hex");
+    tgClaimedUpdates.delete(updateId);
+    saveTgUpdate(updateId, now);
+    if (SHEETS_INGEST_URL) void postTelegramS0(eventForSheets);
 
-    const latency = Date.now() - start;
-    const receivedAt = new Date().toISOString();
+    return res.status(200).json({ ok: true, job_id: jobId, trace_id: traceId, update_id: updateId });
+  } catch (err) {
+    tgClaimedUpdates.delete(updateId);
+    tgSeenUpdates.delete(updateId); // let Telegram retry
+    req.log.error("ingest.fail", {
+      line: "TG",
+      update_id: updateId,
+      ok: false,
+      error: err?.message || String(err),
+    });
+    return res.status(500).json({ ok: false, error: "INTERNAL", trace_id: traceId });
+  }
+});
 
-    console.log(
-      JSON.stringify({
-        ts: receivedAt,
-        level: "INFO",
-        line: "L2",
-        event: "ingest.received",
-        trace_id: traceId,
-        source,
-        event_type,
-      })
-    );
+// -----------------------
+// Stage C store
+// -----------------------
+/**
+ * STORE_BACKEND=MEMORY keeps a summary of the last STORE_LIMIT events (lost on restart).
+ * STORE_BACKEND=SQLITE keeps full events in STORE_DB_FILE under JSONL_DIR (better-sqlite3, an
+ * optional dependency required lazily), pruned by age / row count. If the database cannot be opened the store
+ * falls back to MEMORY and /health says why.
+ * Both serve GET /store/events (newest first, cursor = seq of the last row returned).
+ */
+const store = []; // { seq, id, ts, hash, bytes, duplicate, source, event_type }
+let storeSeq = 0;
+let storeDb = null;
+let storeStmts = null;
+let storeRows = 0;
+let storeBackendError = null;
+let storeRetentionTimer = null;
+let storeRetentionStats = { runs: 0, deleted: 0, last_run_at: null, last_error: null };
+const STORE_SUMMARY_COLUMNS =
+  "seq, id, ts, received_at, source, event_type, hash, bytes, duplicate, key_id, trace_id";
+
+function storeBackend() {
+  return storeDb ? "SQLITE" : "MEMORY";
+}
 
-    console.log(
-      JSON.stringify({
-        ts: receivedAt,
-        level: "INFO",
-        line: "L2",
-        event: "ingest.ack",
-        trace_id: traceId,
-        job_id: jobId,
-        ok: true,
-        latency_ms: latency,
-      })
-    );
+function openEventStore() {
+  if (!STORE_ENABLED || STORE_BACKEND !== "SQLITE") return;
 
-    // Build payload for Sheets + fallback
-    const eventForSheets = {
-      job_id: jobId,
-      trace_id: traceId,
-      source,
-      event_type,
-      payload,
-      received_at: receivedAt,
-      ingest_latency_ms: latency,
+  try {
+    const Database = require("better-sqlite3");
+    fs.mkdirSync(JSONL_DIR, { recursive: true });
+    const db = new Database(path.join(JSONL_DIR, STORE_DB_FILE));
+    db.pragma("journal_mode = WAL");
+    db.pragma("synchronous = NORMAL");
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS events (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL,
+        ts INTEGER NOT NULL,
+        received_at TEXT NOT NULL,
+        source TEXT,
+        event_type TEXT,
+        hash TEXT NOT NULL,
+        bytes INTEGER NOT NULL,
+        duplicate INTEGER NOT NULL,
+        key_id TEXT,
+        trace_id TEXT,
+        payload TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS events_ts ON events (ts);
+      CREATE INDEX IF NOT EXISTS events_source_ts ON events (source, ts);
+      CREATE INDEX IF NOT EXISTS events_type_ts ON events (event_type, ts);
+      CREATE INDEX IF NOT EXISTS events_hash ON events (hash);
+    `);
+
+    storeStmts = {
+      insert: db.prepare(`
+        INSERT INTO events
+          (id, ts, received_at, source, event_type, hash, bytes, duplicate, key_id, trace_id,
+           payload)
+        VALUES
+          (@id, @ts, @received_at, @source, @event_type, @hash, @bytes, @duplicate, @key_id,
+           @trace_id, @payload)
+      `),
+      count: db.prepare("SELECT COUNT(*) AS n FROM events"),
+      pruneAge: db.prepare("DELETE FROM events WHERE ts < ?"),
+      pruneRows: db.prepare(
+        "DELETE FROM events WHERE seq <= (SELECT seq FROM events ORDER BY seq DESC LIMIT 1 OFFSET ?)"
+      ),
     };
+    storeRows = storeStmts.count.get().n;
+    storeDb = db;
+    storeBackendError = null;
+    logger.info("store.opened", { line: "STORE", backend: "SQLITE", rows: storeRows });
+  } catch (e) {
+    storeBackendError = String(e?.message || e);
+    storeDb = null;
+    logger.error("store.open_fail", {
+      line: "STORE",
+      error: storeBackendError,
+      fallback: "MEMORY",
+    });
+  }
+}
 
-    // -------- Line 3-B (optional): always write JSONL --------
-    if (JSONL_ALWAYS === "ON") {
-      const r = await appendJsonl({
-        ts: new Date().toISOString(),
-        kind: "ingest",
-        stage: "jsonl.always",
-        ...eventForSheets,
-      });
+function storeCount() {
+  return storeDb ? storeRows : store.length;
+}
 
-      if (!r.ok) {
-        console.warn(
-          JSON.stringify({
-            ts: new Date().toISOString(),
-            level: "WARN",
-            line: "L3B",
-            event: "jsonl.append.fail",
-            trace_id: traceId,
-            job_id: jobId,
-            ok: false,
-            error: r.error,
-          })
-        );
-      } else {
-        console.log(
-          JSON.stringify({
-            ts: new Date().toISOString(),
-            level: "INFO",
-            line: "L3B",
-            event: "jsonl.append.ok",
-            trace_id: traceId,
-            job_id: jobId,
-            ok: true,
-          })
-        );
-      }
-    }
-    // --------------------------------------------------------
+// throws on SQLite errors; /events logs them and still answers 200
+function addToStore({
+  id,
+  ts,
+  hash,
+  bytes,
+  duplicate,
+  source,
+  event_type,
+  key_id,
+  trace_id,
+  payloadStr,
+}) {
+  if (storeDb) {
+    storeStmts.insert.run({
+      id,
+      ts,
+      received_at: new Date(ts).toISOString(),
+      source: source ?? null,
+      event_type: event_type ?? null,
+      hash,
+      bytes,
+      duplicate: duplicate ? 1 : 0,
+      key_id: key_id ?? null,
+      trace_id: trace_id ?? null,
+      payload: payloadStr,
+    });
+    storeRows += 1;
+    return;
+  }
 
-    // -------- Line 3-A: best-effort forward to Sheets (DO NOT break ingest) --------
+  storeSeq += 1;
+  store.push({ seq: storeSeq, id, ts, hash, bytes, duplicate, source, event_type });
+  if (store.length > STORE_LIMIT) store.shift();
+}
+
+function storeRowView({ duplicate, key_id, trace_id, payload, ...rest }) {
+  const out = {
+    ...rest,
+    duplicate: Boolean(duplicate),
+    key_id: key_id || undefined,
+    trace_id: trace_id || undefined,
+  };
+  if (payload !== undefined) {
     try {
-      const sheets = await postToGASForSheets(eventForSheets);
+      out.payload = JSON.parse(payload);
+    } catch {
+      out.payload = payload;
+    }
+  }
+  return out;
+}
 
-      if (sheets.ok) {
-        console.log(
-          JSON.stringify({
-            ts: new Date().toISOString(),
-            level: "INFO",
-            line: "L3",
-            event: "sheets.append.ok",
-            trace_id: traceId,
-            job_id: jobId,
-            ok: true,
-            gas_status: sheets.status,
-            gas_latency_ms: sheets.latency_ms,
-            append_row: sheets.data?.append_row,
-          })
-        );
-      } else {
-        console.warn(
-          JSON.stringify({
-            ts: new Date().toISOString(),
-            level: "WARN",
-            line: "L3",
-            event: "sheets.append.fail",
-            trace_id: traceId,
-            job_id: jobId,
-            ok: false,
-            gas_status: sheets.status,
-            gas_latency_ms: sheets.latency_ms,
-            error: sheets.error || sheets.data?.error,
-          })
-        );
+// q = { source?, event_type?, hash?, since, until (ms or null), before (seq or null) }
+function queryStore(q, limit, withPayload) {
+  if (!storeDb) {
+    const items = [];
+    for (let i = store.length - 1; i >= 0 && items.length <= limit; i--) {
+      const e = store[i];
+      if (q.before !== null && e.seq >= q.before) continue;
+      if (q.source !== undefined && e.source !== q.source) continue;
+      if (q.event_type !== undefined && e.event_type !== q.event_type) continue;
+      if (q.hash !== undefined && e.hash !== q.hash) continue;
+      if (q.since !== null && e.ts < q.since) continue;
+      if (q.until !== null && e.ts > q.until) continue;
+      items.push({ ...e, received_at: new Date(e.ts).toISOString() });
+    }
+    return items;
+  }
 
-        // -------- Line 3-B: fallback on Sheets failure --------
-        if (JSONL_FALLBACK === "ON") {
-          const r = await appendJsonl({
-            ts: new Date().toISOString(),
-            kind: "ingest",
-            stage: "jsonl.fallback",
-            reason: sheets.error || sheets.data?.error || "sheets_fail",
-            ...eventForSheets,
-          });
+  const where = [];
+  const params = [];
+  for (const f of ["source", "event_type", "hash"]) {
+    if (q[f] !== undefined) {
+      where.push(`${f} = ?`);
+      params.push(q[f]);
+    }
+  }
+  if (q.since !== null) {
+    where.push("ts >= ?");
+    params.push(q.since);
+  }
+  if (q.until !== null) {
+    where.push("ts <= ?");
+    params.push(q.until);
+  }
+  if (q.before !== null) {
+    where.push("seq < ?");
+    params.push(q.before);
+  }
 
-          if (!r.ok) {
-            console.warn(
-              JSON.stringify({
-                ts: new Date().toISOString(),
-                level: "WARN",
-                line: "L3B",
-                event: "jsonl.append.fail",
-                trace_id: traceId,
-                job_id: jobId,
-                ok: false,
-                error: r.error,
-              })
-            );
-          } else {
-            console.log(
-              JSON.stringify({
-                ts: new Date().toISOString(),
-                level: "INFO",
-                line: "L3B",
-                event: "jsonl.append.ok",
-                trace_id: traceId,
-                job_id: jobId,
-                ok: true,
-              })
-            );
-          }
-        }
-        // ----------------------------------------------------
+  const cols = withPayload ? "*" : STORE_SUMMARY_COLUMNS;
+  const sql =
+    `SELECT ${cols} FROM events` +
+    (where.length ? ` WHERE ${where.join(" AND ")}` : "") +
+    " ORDER BY seq DESC LIMIT ?";
+  return storeDb
+    .prepare(sql)
+    .all(...params, limit + 1)
+    .map(storeRowView);
+}
+
+function storeRetentionTickOnce() {
+  if (!storeDb) return { ok: true, skipped: true, reason: "sqlite_disabled" };
+  storeRetentionStats.runs += 1;
+  storeRetentionStats.last_run_at = new Date().toISOString();
+
+  try {
+    let deleted = 0;
+    if (STORE_RETENTION_MAX_AGE_MS > 0) {
+      deleted += storeStmts.pruneAge.run(Date.now() - STORE_RETENTION_MAX_AGE_MS).changes;
+    }
+    if (STORE_RETENTION_MAX_ROWS > 0) {
+      deleted += storeStmts.pruneRows.run(STORE_RETENTION_MAX_ROWS).changes;
+    }
+    storeRows = storeStmts.count.get().n;
+    storeRetentionStats.deleted += deleted;
+    storeRetentionStats.last_error = null;
+    if (deleted > 0) logger.info("store.pruned", { line: "STORE", deleted, rows: storeRows });
+    return { ok: true, deleted, rows: storeRows };
+  } catch (e) {
+    storeRetentionStats.last_error = String(e?.message || e);
+    logger.error("store.prune_fail", { line: "STORE", error: e });
+    return { ok: false, error: storeRetentionStats.last_error };
+  }
+}
+
+function startStoreRetentionIfEnabled() {
+  if (!storeDb) return;
+  storeRetentionTickOnce();
+  storeRetentionTimer = setInterval(storeRetentionTickOnce, STORE_RETENTION_INTERVAL_MS);
+}
+
+// -----------------------
+// Stage D queue for external sync (full payload)
+// -----------------------
+/**
+ * Queue item contains enough data to sync later:
+ * { id, hash, bytes, received_at, payload_str, retry, last_error, next_attempt_at }
+ * With QUEUE_DURABLE=ON, items enqueued while the worker is off are memory-only and carry
+ * `volatile: true` (not in the journal, not counted in queueDiskDepth).
+ */
+const queue = [];
+let queueDropped = 0;
+let queueSynced = 0;
+let queueFailed = 0;
+
+function enqueue(item) {
+  if (QUEUE_DURABLE_ENABLED && workerEnabled()) {
+    if (queueDiskDepth + queueEnqInflight >= QUEUE_MAX_DISK_ITEMS) {
+      queueDropped += 1;
+      return Promise.resolve({ ok: false, error: "queue_disk_full", dropped: true });
+    }
+
+    queueEnqInflight += 1;
+    return appendQueueOps([{ op: "enq", item }]).then((r) => {
+      queueEnqInflight -= 1;
+      if (!r.ok) return r;
+      // keep FIFO: once anything is spilled, new items stay on disk until refilled
+      queueDiskDepth += 1;
+      if (queueSpilled > 0 || queue.length >= QUEUE_LIMIT) queueSpilled += 1;
+      else queue.push(item);
+      return r;
+    });
+  }
+
+  // drop-oldest policy (never throw); durable mode only ever drops volatile items
+  if (QUEUE_DURABLE_ENABLED) item.volatile = true;
+  if (queue.length >= QUEUE_LIMIT) {
+    const idx = QUEUE_DURABLE_ENABLED ? queue.findIndex((it) => it.volatile) : 0;
+    queueDropped += 1;
+    if (idx < 0) return Promise.resolve({ ok: false, error: "queue_full", dropped: true });
+    queue.splice(idx, 1);
+  }
+  queue.push(item);
+  return Promise.resolve({ ok: true, durable: false });
+}
+
+function volatileQueueItems() {
+  return queue.filter((it) => it.volatile);
+}
+
+function queueDepth() {
+  return QUEUE_DURABLE_ENABLED ? queueDiskDepth + volatileQueueItems().length : queue.length;
+}
+
+// -----------------------
+// Stage D durable queue (append-only journal on JSONL_DIR)
+// -----------------------
+/**
+ * Journal ops (one JSON object per line):
+ * { op: "enq", item }                                   new item (incl. payload_str)
+ * { op: "upd", id, retry, last_error, next_attempt_at } retry bookkeeping
+ * { op: "ack", id }                                     synced -> removed
+ * { op: "fail", id, error }                             retries exhausted -> removed
+ *
+ * Memory holds at most QUEUE_LIMIT items. Anything beyond stays on disk only
+ * ("spilled") and is pulled back by refillQueueFromDisk() as the worker drains.
+ */
+let queueWriteChain = Promise.resolve();
+let queueDiskDepth = 0; // enq lines appended ok and not acked yet
+let queueEnqInflight = 0; // enq lines still being appended (counted against QUEUE_MAX_DISK_ITEMS)
+let queueSpilled = 0;
+let queueOpsSinceCompact = 0;
+let queueCompactions = 0;
+let queueLastCompactAt = null;
+let queueLastDiskError = null;
+
+function queueJournalPath() {
+  return path.join(JSONL_DIR, QUEUE_FILE);
+}
+
+function appendQueueOps(ops) {
+  if (!QUEUE_DURABLE_ENABLED || ops.length === 0) {
+    return Promise.resolve({ ok: true, skipped: true });
+  }
+
+  const lines = ops.map((op) => JSON.stringify(op) + "\n").join("");
+  queueOpsSinceCompact += ops.filter((op) => op.op !== "enq").length;
+
+  queueWriteChain = queueWriteChain
+    .then(async () => {
+      await ensureDirExists(JSONL_DIR);
+      await fs.promises.appendFile(queueJournalPath(), lines, "utf8");
+      return { ok: true };
+    })
+    .catch((err) => {
+      queueLastDiskError = String(err?.message || err);
+      return { ok: false, error: queueLastDiskError };
+    });
+
+  return queueWriteChain;
+}
+
+// streamed line by line, so the journal size is bounded by QUEUE_MAX_DISK_ITEMS, not string limits
+async function readQueueJournal() {
+  let input;
+  try {
+    input = await fs.promises.open(queueJournalPath(), "r");
+  } catch {
+    return [];
+  }
+
+  const pending = new Map(); // id -> item (insertion order = FIFO)
+  const rl = readline.createInterface({ input: input.createReadStream(), crlfDelay: Infinity });
+  for await (const l of rl) {
+    if (!l) continue;
+    let rec;
+    try {
+      rec = JSON.parse(l);
+    } catch {
+      continue; // torn line from a crash mid-append
+    }
+
+    if (rec.op === "enq" && rec.item?.id) {
+      pending.set(rec.item.id, rec.item);
+    } else if (rec.op === "upd") {
+      const it = pending.get(rec.id);
+      if (it) {
+        it.retry = rec.retry;
+        it.last_error = rec.last_error;
+        it.next_attempt_at = rec.next_attempt_at;
+        it.first_failed_at = rec.first_failed_at;
       }
-    } catch (e) {
-      console.warn(
-        JSON.stringify({
-          ts: new Date().toISOString(),
-          level: "WARN",
-          line: "L3",
-          event: "sheets.append.fail",
-          trace_id: traceId,
-          job_id: jobId,
-          ok: false,
-          error: e?.message || String(e),
-        })
+    } else if (rec.op === "ack" || rec.op === "fail") {
+      pending.delete(rec.id);
+    }
+  }
+  return [...pending.values()];
+}
+
+// Rewrites the journal with only pending items (temp file + rename).
+function compactQueueJournal() {
+  queueWriteChain = queueWriteChain
+    .then(async () => {
+      const pending = await readQueueJournal();
+      const p = queueJournalPath();
+
+      await ensureDirExists(JSONL_DIR);
+      // one string per line: the journal can outgrow a single string
+      await writeFileAtomic(
+        p,
+        pending.map((item) => JSON.stringify({ op: "enq", item }) + "\n")
       );
 
-      if (JSONL_FALLBACK === "ON") {
-        const r = await appendJsonl({
-          ts: new Date().toISOString(),
-          kind: "ingest",
-          stage: "jsonl.fallback",
-          reason: e?.message || String(e),
-          ...eventForSheets,
-        });
+      // the journal is the source of truth; also repairs depth after a failed ack append
+      queueDiskDepth = pending.length;
+      queueSpilled = Math.max(0, queueDiskDepth - (queue.length - volatileQueueItems().length));
+      queueOpsSinceCompact = 0;
+      queueCompactions += 1;
+      queueLastCompactAt = safeNowIso();
+      return { ok: true, pending };
+    })
+    .catch((err) => {
+      queueLastDiskError = String(err?.message || err);
+      return { ok: false, error: queueLastDiskError };
+    });
 
-        if (!r.ok) {
-          console.warn(
-            JSON.stringify({
-              ts: new Date().toISOString(),
-              level: "WARN",
-              line: "L3B",
-              event: "jsonl.append.fail",
-              trace_id: traceId,
-              job_id: jobId,
-              ok: false,
-              error: r.error,
-            })
-          );
-        } else {
-          console.log(
-            JSON.stringify({
-              ts: new Date().toISOString(),
-              level: "INFO",
-              line: "L3B",
-              event: "jsonl.append.ok",
-              trace_id: traceId,
-              job_id: jobId,
-              ok: true,
-            })
-          );
-        }
+  return queueWriteChain;
+}
+
+// runs inside queueWriteChain so an enq that is still being appended is not pulled in twice
+function refillQueueFromDisk() {
+  queueWriteChain = queueWriteChain.then(async () => {
+    try {
+      const pending = await readQueueJournal();
+
+      const inMemory = new Set(queue.map((it) => it.id));
+      for (const it of pending) {
+        if (queue.length >= QUEUE_LIMIT) break;
+        if (!inMemory.has(it.id)) queue.push(it);
       }
+      queueDiskDepth = pending.length;
+      queueSpilled = Math.max(0, queueDiskDepth - (queue.length - volatileQueueItems().length));
+      return { ok: true };
+    } catch (err) {
+      queueLastDiskError = String(err?.message || err);
+      return { ok: false, error: queueLastDiskError };
     }
-    // ---------------------------------------------------------------------------
+  });
 
-    return res.status(200).json({
-      ok: true,
-      job_id: jobId,
-      trace_id: traceId,
-      received_at: receivedAt,
-      latency_ms: latency,
-      mode: "v7.9-OPS-L2",
-    });
-  } catch (err) {
-    const latency = Date.now() - start;
-    console.error(
-      JSON.stringify({
-        ts: new Date().toISOString(),
-        level: "ERROR",
-        line: "L2",
-        event: "ingest.fail",
-        trace_id: traceId,
-        ok: false,
-        error: err.message,
-        latency_ms: latency,
-      })
-    );
+  return queueWriteChain;
+}
 
-    return res.status(500).json({
-      ok: false,
-      error: "INTERNAL",
-      trace_id: traceId,
-      mode: "v7.9-OPS-L2",
-    });
+async function maintainDurableQueue() {
+  if (!QUEUE_DURABLE_ENABLED) return;
+  if (queueOpsSinceCompact >= QUEUE_COMPACT_EVERY) await compactQueueJournal();
+  if (queueSpilled > 0 && queue.length < QUEUE_LIMIT) await refillQueueFromDisk();
+}
+
+async function initDurableQueue() {
+  if (!QUEUE_DURABLE_ENABLED) return;
+
+  // compaction on boot also drops a torn tail left by a crash
+  const r = await compactQueueJournal();
+  if (!r.ok) {
+    logger.error("queue.restore_fail", { line: "EVENTS", error: r.error });
+    return;
   }
-});
 
-// -----------------------
-// Stage C store (summary)
-// -----------------------
-const store = []; // { ts, hash, bytes, duplicate }
-const recentHashes = new Map(); // hash -> ts
+  queue.push(...r.pending.slice(0, QUEUE_LIMIT));
+  queueSpilled = Math.max(0, queueDiskDepth - queue.length);
 
-function addToStoreSummary({ ts, hash, bytes, duplicate }) {
-  store.push({ ts, hash, bytes, duplicate });
-  if (store.length > STORE_LIMIT) store.shift();
+  logger.info("queue.restored", {
+    line: "EVENTS",
+    depth: queueDiskDepth,
+    in_memory: queue.length,
+    spilled: queueSpilled,
+    path: queueJournalPath(),
+  });
 }
 
-// -----------------------
-// Stage D queue for external sync (full payload)
-// -----------------------
-/**
- * Queue item contains enough data to sync later:
- * { id, hash, bytes, received_at, payload_str, retry, last_error, next_attempt_at }
- */
-const queue = [];
-let queueDropped = 0;
-let queueSynced = 0;
-let queueFailed = 0;
+function queueSpillPath() {
+  return path.join(JSONL_DIR, QUEUE_SPILL_FILE);
+}
 
-function enqueue(item) {
-  // drop-oldest policy (never throw)
-  if (queue.length >= QUEUE_LIMIT) {
-    queue.shift();
-    queueDropped += 1;
+// Items left in memory by the last graceful shutdown (see spillQueue); re-enqueued
+// ahead of new traffic, then the file is removed.
+async function restoreQueueSpill() {
+  let raw;
+  try {
+    raw = await fs.promises.readFile(queueSpillPath(), "utf8");
+  } catch {
+    return;
   }
-  queue.push(item);
+
+  let restored = 0;
+  for (const l of raw.split("\n")) {
+    if (!l) continue;
+    try {
+      const item = JSON.parse(l);
+      if (!item?.id) continue;
+      delete item.volatile;
+      await enqueue(item);
+      restored += 1;
+    } catch {
+      // skip a bad line
+    }
+  }
+  await fs.promises.unlink(queueSpillPath()).catch(() => {});
+
+  logger.info("queue.spill_restored", { line: "EVENTS", items: restored, path: queueSpillPath() });
 }
 
 // -----------------------
@@ -832,11 +5515,40 @@ app.get("/health", (req, res) => {
     ok: true,
     service: "itplaylab-events-ingest",
     mode: MODE_TAG,
-    external: WORKER_ENABLED ? "ON" : "OFF",
+    external: workerEnabled() ? "ON" : "OFF",
     store_enabled: STORE_ENABLED,
-    stored: store.length,
+    stored: storeCount(),
     store_limit: STORE_LIMIT,
+    store_backend: storeBackend(),
+    store_backend_error: storeBackendError,
+    store_retention: storeDb
+      ? {
+          max_age_ms: STORE_RETENTION_MAX_AGE_MS,
+          max_rows: STORE_RETENTION_MAX_ROWS,
+          stats: storeRetentionStats,
+        }
+      : undefined,
     dedupe_window_ms: DEDUPE_WINDOW_MS,
+    rate_limit: {
+      enabled: RATE_LIMIT === "ON",
+      load_error: rateLimitLoadError,
+      dimensions: Object.keys(rateLimitRules),
+      buckets: rateBuckets.size,
+      stats: rateLimitStats,
+      quota: RATE_LIMIT === "ON" ? quotaUsage(50) : undefined,
+    },
+    dedupe: {
+      key: DEDUPE_KEY,
+      fields: DEDUPE_KEY === "FIELDS" ? DEDUPE_FIELDS : undefined,
+      policy: DEDUPE_POLICY,
+      ingest: DEDUPE_INGEST === "ON",
+      persist: DEDUPE_PERSIST === "ON",
+      keys: dedupeKeys.size,
+      stats: dedupeStats,
+      last_error: dedupeLastError,
+      telegram_updates: tgSeenUpdates.size,
+      telegram_last_error: tgDedupeLastError,
+    },
     line3a: {
       gas_webapp_configured: Boolean(GAS_WEBAPP_URL),
       secret_configured: Boolean(ITPLAYLAB_SECRET),
@@ -849,15 +5561,87 @@ app.get("/health", (req, res) => {
       jsonl_dir: JSONL_DIR,
       jsonl_file: JSONL_FILE,
       jsonl_max_bytes: JSONL_MAX_BYTES,
+      skipped_records: jsonlSkippedRecords,
+      fsync: { mode: JSONL_FSYNC, interval_ms: JSONL_FSYNC_INTERVAL_MS, stats: jsonlFsyncStats },
+      retention: {
+        enabled: JSONL_ENABLED && retentionConfigured(),
+        compress: JSONL_COMPRESS === "ON",
+        max_bytes: JSONL_RETENTION_MAX_BYTES,
+        max_age_ms: JSONL_RETENTION_MAX_AGE_MS,
+        max_segments: JSONL_RETENTION_MAX_SEGMENTS,
+        stats: retentionStats,
+      },
+    },
+    sinks: {
+      load_error: sinksLoadError,
+      list: sinks.map((s) => ({
+        name: s.name,
+        type: s.type,
+        ready: s.impl.ready() === null,
+        consecutive_failures: s.stats.consecutive_failures,
+        last_ok_at: s.stats.last_ok_at,
+        last_error: s.stats.last_error,
+        delivery: s.cursor ? logSinkRuntimeFor(s).stats : undefined,
+      })),
+    },
+    timeline: {
+      enabled: JOB_TIMELINE === "ON",
+      jobs: timelineJobs.size,
+      ttl_ms: JOB_TIMELINE_TTL_MS,
+      last_error: timelineLastError,
+    },
+    idempotency: {
+      enabled: IDEMPOTENCY === "ON",
+      ttl_ms: IDEMPOTENCY_TTL_MS,
+      body_field: IDEMPOTENCY_BODY_FIELD || null,
+      keys: idempotencyKeys.size,
+      inflight: idempotencyInflight.size,
+      replays: idempotencyReplays,
+      last_error: idempotencyLastError,
+    },
+    hmac: {
+      mode: HMAC_MODE,
+      sources: hmacSecrets.size,
+      tolerance_sec: HMAC_TOLERANCE_SEC,
+      load_error: hmacLoadError,
+      stats: hmacStats,
+    },
+    auth: {
+      mode: AUTH_MODE,
+      keys: apiKeys.length,
+      loaded_at: apiKeysLoadedAt,
+      load_error: apiKeysLoadError,
+      stats: authStats,
+    },
+    schemas: {
+      validation: SCHEMA_VALIDATION,
+      unknown_event_type: SCHEMA_UNKNOWN,
+      event_types: schemaRegistry.size,
+      load_errors: schemaLoadErrors.length,
+    },
+    dead_letters: {
+      file: DEAD_LETTER_FILE,
+      count: deadLetterCount,
+      stats: deadLetterStats,
+    },
+    forwarder: {
+      ack_mode: INGEST_ASYNC_ENABLED ? "ASYNC" : "SYNC",
+      interval_ms: FORWARDER_INTERVAL_MS,
+      batch_size: FORWARDER_BATCH_SIZE,
+      busy: forwarderBusy,
+      lag: forwarderLag(),
+      stats: forwarderStats,
     },
     line3c: {
-      replay_enabled: REPLAY_ENABLED === "ON",
-      replay_mode: REPLAY_MODE,
-      replay_interval_ms: REPLAY_INTERVAL_MS,
-      replay_batch_size: REPLAY_BATCH_SIZE,
-      replay_max_bytes_per_tick: REPLAY_MAX_BYTES_PER_TICK,
+      replay_enabled: settings.REPLAY_ENABLED === "ON",
+      replay_mode: settings.REPLAY_MODE,
+      replay_interval_ms: settings.REPLAY_INTERVAL_MS,
+      replay_batch_size: settings.REPLAY_BATCH_SIZE,
+      replay_max_bytes_per_tick: settings.REPLAY_MAX_BYTES_PER_TICK,
       replay_state_file: REPLAY_STATE_FILE,
+      replay_max_attempts: settings.REPLAY_MAX_ATTEMPTS,
       replay_busy: replayBusy,
+      replay_paused: control.replay_paused,
       replay_stats: replayStats,
     },
     queue: {
@@ -866,21 +5650,63 @@ app.get("/health", (req, res) => {
       dropped: queueDropped,
       synced: queueSynced,
       failed: queueFailed,
+      durable: QUEUE_DURABLE_ENABLED,
+      disk_depth: QUEUE_DURABLE_ENABLED ? queueDiskDepth : undefined,
+      max_disk_items: QUEUE_DURABLE_ENABLED ? QUEUE_MAX_DISK_ITEMS : undefined,
+      spilled: QUEUE_DURABLE_ENABLED ? queueSpilled : undefined,
     },
     worker: {
-      enabled: WORKER_ENABLED,
-      interval_ms: WORKER_INTERVAL_MS,
-      batch_size: WORKER_BATCH_SIZE,
-      max_retry: WORKER_MAX_RETRY,
-      backoff_base_ms: WORKER_BACKOFF_BASE_MS,
+      enabled: workerEnabled(),
+      paused: control.worker_paused,
+      interval_ms: settings.WORKER_INTERVAL_MS,
+      batch_size: settings.WORKER_BATCH_SIZE,
+      max_retry: settings.WORKER_MAX_RETRY,
+      backoff_base_ms: settings.WORKER_BACKOFF_BASE_MS,
     },
   });
 });
 
+// -----------------------
+// Prometheus metrics
+// -----------------------
+async function refreshScrapeGauges() {
+  let size = 0;
+  try {
+    size = (await fs.promises.stat(jsonlPath())).size;
+  } catch {
+    // no file yet
+  }
+  const replayBacklog = await jsonlBacklog(await loadReplayState());
+  const lag = forwarderLag();
+
+  setGauge("itplaylab_jsonl_file_bytes", {}, size);
+  setGauge("itplaylab_replay_lag_bytes", {}, replayBacklog.bytes_behind);
+  setGauge("itplaylab_forwarder_lag_records", {}, lag.records);
+  setGauge("itplaylab_forwarder_lag_seconds", {}, lag.seconds);
+  setGauge("itplaylab_queue_depth", { location: "memory" }, queue.length);
+  setGauge(
+    "itplaylab_queue_depth",
+    { location: "disk" },
+    QUEUE_DURABLE_ENABLED ? queueDiskDepth : 0
+  );
+  setGauge("itplaylab_dead_letters", {}, deadLetterCount);
+
+  // the queue keeps its own running totals; mirror them as counters
+  metricSeries("itplaylab_queue_items_total", { outcome: "synced" }).value = queueSynced;
+  metricSeries("itplaylab_queue_items_total", { outcome: "dropped" }).value = queueDropped;
+  metricSeries("itplaylab_queue_items_total", { outcome: "failed" }).value = queueFailed;
+}
+
+app.get("/metrics", requireScope("ops:read"), async (req, res) => {
+  await refreshScrapeGauges();
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  return res.status(200).send(renderMetrics());
+});
+
 // -----------------------
 // Line 3-B: Fallback status/tail endpoints
 // -----------------------
-app.get("/fallback/status", async (req, res) => {
+app.get("/fallback/status", requireScope("ops:read"), async (req, res) => {
   const p = jsonlPath();
   try {
     const st = await fs.promises.stat(p);
@@ -907,7 +5733,117 @@ app.get("/fallback/status", async (req, res) => {
   }
 });
 
-app.get("/fallback/tail", async (req, res) => {
+// every segment (rotated + live) with record counts and reader positions
+app.get("/fallback/segments", requireScope("ops:read"), async (req, res) => {
+  const replayBacklog = await jsonlBacklog(await loadReplayState());
+  const forwarderBacklog = await jsonlBacklog(await loadOffsetState(forwarderStatePath()));
+  const isProtected = await protectedSegmentNames();
+  const statusOf = (backlog, name) =>
+    backlog.segments.find((s) => s.name === name)?.status || "drained";
+
+  const files = await listClosedSegments();
+  try {
+    const st = await fs.promises.stat(jsonlPath());
+    files.push({
+      name: JSONL_FILE,
+      path: jsonlPath(),
+      size: st.size,
+      mtime_ms: st.mtimeMs,
+      compressed: false,
+      live: true,
+    });
+  } catch {
+    // no live file yet
+  }
+
+  const segments = [];
+  for (const f of files) {
+    const baseName = f.name.replace(/\.gz$/, "");
+    let meta = { records: null, first_ts: null, last_ts: null };
+    try {
+      meta = await segmentMeta(f.path, f.compressed, f.size, f.mtime_ms);
+    } catch {
+      // pruned/compressed while listing
+    }
+    segments.push({
+      name: f.name,
+      live: Boolean(f.live),
+      compressed: f.compressed,
+      bytes: f.size,
+      records: meta.records,
+      first_ts: meta.first_ts,
+      last_ts: meta.last_ts,
+      updated_at: new Date(f.mtime_ms).toISOString(),
+      replay: settings.REPLAY_ENABLED === "ON" ? statusOf(replayBacklog, baseName) : "disabled",
+      forwarder: INGEST_ASYNC_ENABLED ? statusOf(forwarderBacklog, baseName) : "disabled",
+      protected: isProtected.has(baseName),
+    });
+  }
+
+  return res.status(200).json({
+    ok: true,
+    total_bytes: segments.reduce((n, s) => n + s.bytes, 0),
+    count: segments.length,
+    retention: {
+      enabled: JSONL_ENABLED && retentionConfigured(),
+      compress: JSONL_COMPRESS === "ON",
+      max_bytes: JSONL_RETENTION_MAX_BYTES,
+      max_age_ms: JSONL_RETENTION_MAX_AGE_MS,
+      max_segments: JSONL_RETENTION_MAX_SEGMENTS,
+      busy: retentionBusy,
+      stats: retentionStats,
+    },
+    segments,
+  });
+});
+
+app.post("/fallback/retention/run", requireScope("ops:admin"), async (req, res) => {
+  const result = await retentionTickOnce();
+  return res.status(200).json({ ok: true, ...result });
+});
+
+// filters are exact matches; since/until take ISO strings or epoch ms
+app.get("/fallback/query", requireScope("ops:read"), async (req, res) => {
+  const q = { since: null, until: null };
+  for (const f of QUERY_FILTER_FIELDS) {
+    if (typeof req.query[f] === "string" && req.query[f] !== "") q[f] = req.query[f];
+  }
+  for (const f of ["since", "until"]) {
+    const raw = req.query[f];
+    if (raw === undefined || raw === "") continue;
+    const t = /^\d+$/.test(String(raw)) ? Number(raw) : Date.parse(String(raw));
+    if (!Number.isFinite(t)) {
+      return res.status(400).json({ ok: false, error: `invalid_${f}` });
+    }
+    q[f] = t;
+  }
+
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeQueryCursor(req.query.cursor);
+    if (!cursor) return res.status(400).json({ ok: false, error: "invalid_cursor" });
+  }
+
+  const limit = Math.max(1, Math.min(Number(req.query.limit || 100), 1000));
+  const result = await queryJsonl(q, cursor, limit);
+
+  return res.status(200).json({
+    ok: !result.error,
+    filters: {
+      ...Object.fromEntries(
+        QUERY_FILTER_FIELDS.filter((f) => q[f] !== undefined).map((f) => [f, q[f]])
+      ),
+      since: q.since !== null ? new Date(q.since).toISOString() : undefined,
+      until: q.until !== null ? new Date(q.until).toISOString() : undefined,
+    },
+    limit,
+    count: result.items.length,
+    ...result,
+    error: result.error || undefined,
+  });
+});
+
+app.get("/fallback/tail", requireScope("ops:read"), async (req, res) => {
   const n = Math.max(1, Math.min(Number(req.query.n || 50), 500));
   const p = jsonlPath();
 
@@ -944,18 +5880,61 @@ app.get("/fallback/tail", async (req, res) => {
   }
 });
 
+// -----------------------
+// Sink endpoints
+// -----------------------
+app.get("/sinks", requireScope("ops:read"), (req, res) => {
+  return res.status(200).json({
+    ok: true,
+    load_error: sinksLoadError,
+    sheets_mapping_error: sheetsMappingLoadError,
+    sinks: sinks.map(sinkView),
+  });
+});
+
+// effective settings and where each came from (env | file | default); secrets masked
+app.get("/config", requireScope("ops:read"), (req, res) => {
+  return res.status(200).json({ ok: true, mode: MODE_TAG, ...describeConfig(config) });
+});
+
+// -----------------------
+// Job timeline endpoints
+// -----------------------
+app.get("/jobs/:job_id", requireScope("ops:read"), (req, res) => {
+  if (JOB_TIMELINE !== "ON") {
+    return res.status(404).json({ ok: false, error: "JOB_TIMELINE_DISABLED" });
+  }
+  const job = timelineJobs.get(req.params.job_id);
+  if (!job) return res.status(404).json({ ok: false, error: "JOB_NOT_FOUND" });
+  return res.status(200).json({ ok: true, ...jobView(job) });
+});
+
+app.get("/traces/:trace_id", requireScope("ops:read"), (req, res) => {
+  if (JOB_TIMELINE !== "ON") {
+    return res.status(404).json({ ok: false, error: "JOB_TIMELINE_DISABLED" });
+  }
+  const jobIds = timelineTraces.get(req.params.trace_id);
+  if (!jobIds) return res.status(404).json({ ok: false, error: "TRACE_NOT_FOUND" });
+  return res.status(200).json({
+    ok: true,
+    trace_id: req.params.trace_id,
+    jobs: [...jobIds].map((id) => jobView(timelineJobs.get(id))),
+  });
+});
+
 // -----------------------
 // Line 3-C-lite: Replay status/run endpoints
 // -----------------------
-app.get("/replay/status", async (req, res) => {
+app.get("/replay/status", requireScope("ops:read"), async (req, res) => {
   const state = await loadReplayState();
   return res.status(200).json({
     ok: true,
-    replay_enabled: REPLAY_ENABLED === "ON",
-    replay_mode: REPLAY_MODE,
+    replay_enabled: settings.REPLAY_ENABLED === "ON",
+    replay_mode: settings.REPLAY_MODE,
     replay_busy: replayBusy,
     stats: replayStats,
     state,
+    backlog: await jsonlBacklog(state),
     jsonl: {
       enabled: JSONL_ENABLED,
       path: jsonlPath(),
@@ -963,13 +5942,196 @@ app.get("/replay/status", async (req, res) => {
   });
 });
 
-app.post("/replay/run", async (req, res) => {
+app.post("/replay/run", requireScope("ops:admin"), async (req, res) => {
   const result = await replayTickOnce();
   return res.status(200).json({ ok: true, ...result });
 });
 
-// (옵션) 최근 저장 요약 확인 (STORE/FULL에서만)
-app.get("/store/recent", (req, res) => {
+// -----------------------
+// Async ack forwarder status/run endpoints
+// -----------------------
+app.get("/forwarder/status", requireScope("ops:read"), async (req, res) => {
+  const state = await loadOffsetState(forwarderStatePath());
+  const backlog = await jsonlBacklog(state);
+
+  return res.status(200).json({
+    ok: true,
+    ack_mode: INGEST_ASYNC_ENABLED ? "ASYNC" : "SYNC",
+    forwarder_busy: forwarderBusy,
+    lag: { ...forwarderLag(), bytes: backlog.bytes_behind },
+    stats: forwarderStats,
+    state,
+    backlog,
+  });
+});
+
+app.post("/forwarder/run", requireScope("ops:admin"), async (req, res) => {
+  const result = await forwarderTickOnce();
+  return res.status(200).json({ ok: true, ...result });
+});
+
+// -----------------------
+// Dead letter endpoints
+// -----------------------
+function deadLetterSummary(dl) {
+  return {
+    id: dl.id,
+    origin: dl.origin,
+    error: dl.error,
+    attempts: dl.attempts,
+    first_failed_at: dl.first_failed_at,
+    dead_at: dl.dead_at,
+    ref: dl.ref,
+    job_id: dl.item?.job_id,
+    trace_id: dl.item?.trace_id,
+    source: dl.item?.source,
+    event_type: dl.item?.event_type,
+  };
+}
+
+app.get("/deadletters", requireScope("ops:read"), async (req, res) => {
+  const limit = Math.max(1, Math.min(Number(req.query.limit || 50), 500));
+  let list = await readDeadLetters();
+  if (req.query.origin) list = list.filter((dl) => dl.origin === req.query.origin);
+
+  return res.status(200).json({
+    ok: true,
+    total: list.length,
+    limit,
+    dead_letters: list.slice(-limit).reverse().map(deadLetterSummary), // newest first
+  });
+});
+
+app.get("/deadletters/:id", requireScope("ops:read"), async (req, res) => {
+  const dl = (await readDeadLetters()).find((d) => d.id === req.params.id);
+  if (!dl) return res.status(404).json({ ok: false, error: "NOT_FOUND", detail: "Unknown dead letter" });
+  return res.status(200).json({ ok: true, dead_letter: dl });
+});
+
+app.post("/deadletters/:id/requeue", requireScope("ops:admin"), async (req, res) => {
+  const dl = (await readDeadLetters()).find((d) => d.id === req.params.id);
+  if (!dl) return res.status(404).json({ ok: false, error: "NOT_FOUND", detail: "Unknown dead letter" });
+
+  const r = await requeueDeadLetter(dl);
+  if (!r.ok) return res.status(409).json({ ok: false, error: "REQUEUE_FAILED", detail: r.error });
+  return res.status(200).json({ ok: true, id: dl.id, origin: dl.origin, requeued: true });
+});
+
+app.delete("/deadletters/:id", requireScope("ops:admin"), async (req, res) => {
+  const list = await readDeadLetters();
+  if (!list.some((d) => d.id === req.params.id)) {
+    return res.status(404).json({ ok: false, error: "NOT_FOUND", detail: "Unknown dead letter" });
+  }
+
+  const r = await compactDeadLetters((d) => d.id !== req.params.id);
+  if (!r.ok) return res.status(500).json({ ok: false, error: "PURGE_FAILED", detail: r.error });
+
+  deadLetterStats.purged += list.length - r.live;
+  deadLetterCount = r.live;
+  return res.status(200).json({ ok: true, purged: list.length - r.live, remaining: r.live });
+});
+
+// body: { origin?, before? (ISO), all?: true } - at least one filter is required
+app.post("/deadletters/purge", requireScope("ops:admin"), async (req, res) => {
+  const { origin, before, all } = req.body || {};
+  if (!origin && !before && all !== true) {
+    return res.status(400).json({
+      ok: false,
+      error: "BAD_REQUEST",
+      detail: "pass origin, before or all:true",
+    });
+  }
+
+  const beforeMs = before ? Date.parse(before) : null;
+  if (before && Number.isNaN(beforeMs)) {
+    return res.status(400).json({ ok: false, error: "BAD_REQUEST", detail: "before must be ISO time" });
+  }
+
+  const matches = (d) =>
+    (!origin || d.origin === origin) && (beforeMs === null || Date.parse(d.dead_at) < beforeMs);
+
+  const total = deadLetterCount;
+  const r = await compactDeadLetters((d) => !matches(d));
+  if (!r.ok) return res.status(500).json({ ok: false, error: "PURGE_FAILED", detail: r.error });
+
+  deadLetterStats.purged += Math.max(0, total - r.live);
+  deadLetterCount = r.live;
+  return res.status(200).json({ ok: true, purged: Math.max(0, total - r.live), remaining: r.live });
+});
+
+// -----------------------
+// Auth endpoints
+// -----------------------
+app.get("/auth/whoami", requireScope(["ingest:write", "events:write", "ops:read"]), (req, res) => {
+  return res.status(200).json({
+    ok: true,
+    auth_mode: AUTH_MODE,
+    key_id: req.auth?.key_id || null,
+    scopes: req.auth?.scopes || null,
+    sources: req.auth?.sources ? [...req.auth.sources] : null,
+  });
+});
+
+app.post("/auth/reload", requireScope("ops:admin"), (req, res) => {
+  const r = loadApiKeys();
+  const h = loadHmacSecrets();
+  if (!r.ok || !h.ok) {
+    return res
+      .status(400)
+      .json({ ok: false, error: "KEY_LOAD_FAILED", detail: r.error || h.error });
+  }
+  return res.status(200).json({ ok: true, keys: r.count, hmac_sources: h.sources });
+});
+
+// -----------------------
+// Schema registry endpoints
+// -----------------------
+app.get("/schemas", requireScope(["ops:read", "ingest:write"]), (req, res) => {
+  const schemas = [...schemaRegistry.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([eventType, list]) => ({
+      event_type: eventType,
+      latest_version: list[list.length - 1].version,
+      versions: list.map((s) => ({ version: s.version, file: s.file, description: s.description })),
+    }));
+
+  return res.status(200).json({
+    ok: true,
+    validation: SCHEMA_VALIDATION,
+    unknown_event_type: SCHEMA_UNKNOWN,
+    dir: SCHEMA_DIR,
+    loaded_at: schemaLoadedAt,
+    load_errors: schemaLoadErrors,
+    schemas,
+  });
+});
+
+app.get("/schemas/:event_type", requireScope(["ops:read", "ingest:write"]), (req, res) => {
+  const list = schemaRegistry.get(req.params.event_type);
+  if (!list) {
+    return res.status(404).json({ ok: false, error: "NOT_FOUND", detail: "Unknown event_type" });
+  }
+
+  const def = req.query.version ? resolveSchema(req.params.event_type, req.query.version) : null;
+  if (req.query.version && !def) {
+    return res.status(404).json({ ok: false, error: "NOT_FOUND", detail: "Unknown schema version" });
+  }
+
+  return res.status(200).json({
+    ok: true,
+    event_type: req.params.event_type,
+    versions: def ? [def] : list,
+  });
+});
+
+app.post("/schemas/reload", requireScope("ops:admin"), (req, res) => {
+  const r = loadSchemaRegistry();
+  return res.status(200).json({ ok: r.errors.length === 0, loaded: r.count, errors: r.errors });
+});
+
+// (옵션) 저장된 이벤트 조회 (STORE/FULL에서만)
+// filters: source, event_type, hash, since/until (ISO or epoch ms); payload=0 skips bodies
+app.get("/store/events", requireScope("ops:read"), (req, res) => {
   if (!STORE_ENABLED) {
     return res.status(404).json({
       ok: false,
@@ -978,16 +6140,53 @@ app.get("/store/recent", (req, res) => {
       mode: MODE_TAG,
     });
   }
+
+  const q = { since: null, until: null, before: null };
+  for (const f of ["source", "event_type", "hash"]) {
+    if (typeof req.query[f] === "string" && req.query[f] !== "") q[f] = req.query[f];
+  }
+  for (const f of ["since", "until"]) {
+    const raw = req.query[f];
+    if (raw === undefined || raw === "") continue;
+    const t = /^\d+$/.test(String(raw)) ? Number(raw) : Date.parse(String(raw));
+    if (!Number.isFinite(t)) {
+      return res.status(400).json({ ok: false, error: `invalid_${f}` });
+    }
+    q[f] = t;
+  }
+  if (req.query.cursor !== undefined) {
+    if (!/^\d+$/.test(String(req.query.cursor))) {
+      return res.status(400).json({ ok: false, error: "invalid_cursor" });
+    }
+    q.before = Number(req.query.cursor);
+  }
+
+  const limit = Math.max(1, Math.min(Number(req.query.limit || 50), 500));
+  const withPayload = !["0", "false"].includes(String(req.query.payload));
+
+  let rows;
+  try {
+    rows = queryStore(q, limit, withPayload);
+  } catch (e) {
+    req.log.error("store.query_fail", { line: "STORE", error: e });
+    return res.status(500).json({ ok: false, error: "STORE_QUERY_FAILED", trace_id: req.traceId });
+  }
+
+  const events = rows.slice(0, limit);
   return res.status(200).json({
     ok: true,
     mode: MODE_TAG,
-    stored: store.length,
-    recent: store.slice(-20),
+    backend: storeBackend(),
+    stored: storeCount(),
+    limit,
+    count: events.length,
+    events,
+    next_cursor: rows.length > limit ? String(events[events.length - 1].seq) : null,
   });
 });
 
 // (옵션) 큐 상태 확인 (FULL에서만)
-app.get("/sync/status", (req, res) => {
+app.get("/sync/status", requireScope("ops:read"), async (req, res) => {
   if (OPS_MODE !== "FULL") {
     return res.status(404).json({
       ok: false,
@@ -999,21 +6198,49 @@ app.get("/sync/status", (req, res) => {
   return res.status(200).json({
     ok: true,
     mode: MODE_TAG,
-    external: WORKER_ENABLED ? "ON" : "OFF",
+    external: workerEnabled() ? "ON" : "OFF",
     queue_length: queue.length,
     queue_limit: QUEUE_LIMIT,
     dropped: queueDropped,
     synced: queueSynced,
     failed: queueFailed,
+    dead_letters: deadLetterCount,
     head: queue[0]
       ? { id: queue[0].id, retry: queue[0].retry, next_attempt_at: queue[0].next_attempt_at }
       : null,
+    durable: await durableQueueStatus(),
   });
 });
 
+async function durableQueueStatus() {
+  if (!QUEUE_DURABLE_ENABLED) return { enabled: false };
+
+  let bytes = 0;
+  try {
+    bytes = (await fs.promises.stat(queueJournalPath())).size;
+  } catch {
+    // not written yet
+  }
+
+  return {
+    enabled: true,
+    path: queueJournalPath(),
+    depth: queueDiskDepth,
+    max_items: QUEUE_MAX_DISK_ITEMS,
+    in_memory: queue.length,
+    spilled: queueSpilled,
+    bytes,
+    ops_since_compact: queueOpsSinceCompact,
+    compact_every: QUEUE_COMPACT_EVERY,
+    compactions: queueCompactions,
+    last_compact_at: queueLastCompactAt,
+    last_error: queueLastDiskError,
+  };
+}
+
 // (옵션) 워커 1회 수동 실행 (FULL + external ON일 때만 실제 sync 시도)
-app.post("/sync/run", async (req, res) => {
-  if (!WORKER_ENABLED) {
+app.post("/sync/run", requireScope("ops:admin"), async (req, res) => {
+  if (!workerEnabled()) {
     return res.status(200).json({
       ok: true,
       mode: MODE_TAG,
@@ -1030,16 +6257,34 @@ app.post("/sync/run", async (req, res) => {
 // -----------------------
 let receivedCount = 0;
 
-app.post("/events", (req, res) => {
+app.post("/events", verifySignature, requireScope("events:write"), limitRate, async (req, res) => {
+  const body = req.body ?? {};
+
+  // source-restricted keys must say which source they are sending for
+  if (req.auth?.sources && !sourceAllowed(req.auth, body.source)) {
+    return rejectAuth(
+      req,
+      res,
+      403,
+      "SOURCE_NOT_ALLOWED",
+      `key is not allowed to send source=${body.source}`,
+      req.auth.key_id
+    );
+  }
+
   receivedCount += 1;
 
-  const body = req.body ?? {};
   const payloadStr = JSON.stringify(body);
   const bytes = Buffer.byteLength(payloadStr, "utf8");
   const now = Date.now();
 
   // 공통 관측 로그(원문 금지)
-  console.log("[/events] received", { n: receivedCount, bytes, mode: MODE_TAG });
+  req.log.info("events.received", {
+    line: "EVENTS",
+    n: receivedCount,
+    bytes,
+    mode: MODE_TAG,
+  });
 
   // Stage B: ECHO
   if (OPS_MODE === "ECHO") {
@@ -1051,41 +6296,62 @@ app.post("/events", (req, res) => {
     });
   }
 
-  // Stage C/D: store summary + dedupe
+  // Stage C/D: dedupe + store
   let duplicate = false;
+  let duplicateOf;
   let hash = null;
+  const id = crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${now}-${receivedCount}-${Math.random().toString(16).slice(2)}`;
 
   try {
     hash = sha256(payloadStr);
-    cleanupMapByWindow(recentHashes, now, DEDUPE_WINDOW_MS);
-
-    if (recentHashes.has(hash)) duplicate = true;
-    else recentHashes.set(hash, now);
+    const seen = dedupeCheck(`events:${dedupeFingerprint(body)}`, id, req.traceId);
+    if (seen) {
+      duplicate = true;
+      duplicateOf = seen.ref;
+      req.log.info("events.duplicate", {
+        line: "EVENTS",
+        duplicate_of: seen.ref,
+        policy: DEDUPE_POLICY,
+      });
+    }
 
-    addToStoreSummary({ ts: now, hash, bytes, duplicate });
+    if (!duplicate || DEDUPE_POLICY !== "DROP")
+      addToStore({
+        id,
+        ts: now,
+        hash,
+        bytes,
+        duplicate,
+        source: typeof body.source === "string" ? body.source : undefined,
+        event_type: typeof body.event_type === "string" ? body.event_type : undefined,
+        key_id: req.auth?.key_id,
+        trace_id: req.traceId,
+        payloadStr,
+      });
   } catch (e) {
-    console.error("[store-error]", e?.message || String(e));
+    req.log.error("events.store_fail", { line: "EVENTS", error: e });
     // 저장 실패해도 응답은 정상
   }
 
-  // Stage D: enqueue for external sync (FULL only)
-  if (OPS_MODE === "FULL") {
+  // Stage D: enqueue for external sync (FULL only; duplicates only with DEDUPE_POLICY=PASS)
+  if (OPS_MODE === "FULL" && (!duplicate || DEDUPE_POLICY === "PASS")) {
     try {
-      const id = crypto.randomUUID
-        ? crypto.randomUUID()
-        : `${now}-${receivedCount}-${Math.random().toString(16).slice(2)}`;
-      enqueue({
+      const r = await enqueue({
         id,
         hash: hash || sha256(payloadStr),
         bytes,
         received_at: safeNowIso(),
         payload_str: payloadStr, // FULL payload stored in queue for later sync
+        key_id: req.auth?.key_id,
         retry: 0,
         last_error: null,
         next_attempt_at: 0,
       });
+      if (!r.ok) req.log.error("events.enqueue_fail", { line: "EVENTS", error: r.error });
     } catch (e) {
-      console.error("[enqueue-error]", e?.message || String(e));
+      req.log.error("events.enqueue_fail", { line: "EVENTS", error: e });
       // 큐 실패해도 응답은 정상
     }
   }
@@ -1096,10 +6362,12 @@ app.post("/events", (req, res) => {
     received_count: receivedCount,
     bytes,
     store_enabled: STORE_ENABLED,
-    stored: store.length,
+    stored: storeCount(),
     duplicate,
-    queue_length: OPS_MODE === "FULL" ? queue.length : undefined,
-    external: WORKER_ENABLED ? "ON" : "OFF",
+    duplicate_of: duplicateOf,
+    dropped: duplicate && DEDUPE_POLICY === "DROP" ? true : undefined,
+    queue_length: OPS_MODE === "FULL" ? queueDepth() : undefined,
+    external: workerEnabled() ? "ON" : "OFF",
   });
 });
 
@@ -1139,39 +6407,286 @@ async function getGoogleSheetsClient() {
   return sheets;
 }
 
+// -----------------------
+// Sheets column mapping (sheets_api sinks)
+// -----------------------
+/**
+ * Which tab a row lands in and what goes in each column. Per sink as `mapping` in SINKS, else
+ * SHEETS_MAPPING / SHEETS_MAPPING_FILE:
+ *   {
+ *     "header": "create",
+ *     "tabs": [
+ *       { "name": "orders", "event_types": ["order.*"],
+ *         "columns": ["$.id", { "header": "amount", "path": "$.payload.total.amount" }] },
+ *       { "name": "events", "columns": ["$.id", "$.received_at", "$.event_type", "$.payload"] }
+ *     ]
+ *   }
+ * `{ "columns": [...] }` alone is one tab named after the sink's sheet_name.
+ *
+ * Paths ($.a.b, $.items[0], $['odd key']) read from the row context:
+ * { id, received_at, source, event_type, trace_id, payload }. A string column is headed by its
+ * last path segment; `default` fills missing values (""), objects are written as JSON.
+ * The first tab whose event_types match (exact or trailing "*") takes the event; a tab
+ * without event_types takes the rest, and events no tab takes are skipped (counted per batch).
+ *
+ * header: "create" adds a missing tab and writes the header row into an empty one; "check"
+ * only verifies; "off" appends blindly. A header row that differs from the mapping fails the
+ * batch for that tab so columns never shift under existing data. A batch spanning tabs is one
+ * append per tab; when some tabs fail, only their items are reported back for retry.
+ *
+ * Without any mapping the old A:E columns stay (event_id, payload, received_at, source,
+ * user_id) but are filled from the event: B is the parsed body re-serialized (not the raw
+ * request string), D the body's source (was the literal "render"), E its user_id (was blank).
+ */
+const SHEET_HEADER_MODES = ["create", "check", "off"];
+let sheetsMappingRaw = null; // parsed SHEETS_MAPPING (compiled per sink for its sheet_name)
+let sheetsMappingLoadError = null;
+
+// "$.a.b[0]['x y']" -> ["a", "b", 0, "x y"]; the leading "$" is optional
+function parseSheetPath(p) {
+  let rest = String(p ?? "")
+    .trim()
+    .replace(/^\$/, "");
+  if (rest && !rest.startsWith(".") && !rest.startsWith("[")) rest = `.${rest}`;
+
+  const re = /\.([^.[\]]+)|\[(\d+)\]|\[(['"])(.*?)\3\]/y;
+  const segs = [];
+  while (re.lastIndex < rest.length) {
+    const m = re.exec(rest);
+    if (!m) throw new Error(`bad column path: ${p}`);
+    segs.push(m[1] ?? (m[2] !== undefined ? Number(m[2]) : m[4]));
+  }
+  if (segs.length === 0) throw new Error(`empty column path: ${p}`);
+  return segs;
+}
+
+function compileSheetMapping(raw, defaultTab) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("sheets mapping must be a JSON object");
+  }
+  const header = String(raw.header || "create").toLowerCase();
+  if (!SHEET_HEADER_MODES.includes(header)) {
+    throw new Error(`sheets mapping header must be one of: ${SHEET_HEADER_MODES.join(", ")}`);
+  }
+
+  const tabsRaw = raw.tabs ?? [{ name: defaultTab, columns: raw.columns }];
+  if (!Array.isArray(tabsRaw) || tabsRaw.length === 0) {
+    throw new Error("sheets mapping needs tabs (or columns)");
+  }
+
+  const tabs = tabsRaw.map((t, i) => {
+    const name = String(t?.name || "").trim();
+    if (!name) throw new Error(`sheets mapping tabs[${i}].name missing`);
+    if (!Array.isArray(t.columns) || t.columns.length === 0) {
+      throw new Error(`sheets mapping tab ${name}: columns must be a non-empty array`);
+    }
+    if (t.event_types !== undefined && !Array.isArray(t.event_types)) {
+      throw new Error(`sheets mapping tab ${name}: event_types must be an array`);
+    }
+
+    const columns = t.columns.map((c) => {
+      const spec = typeof c === "string" ? { path: c } : c || {};
+      const segs = parseSheetPath(spec.path);
+      return {
+        header: String(spec.header ?? segs[segs.length - 1]),
+        path: segs,
+        default: spec.default ?? "",
+      };
+    });
+    const headers = new Set(columns.map((c) => c.header));
+    if (headers.size !== columns.length) {
+      throw new Error(`sheets mapping tab ${name}: column headers must be unique`);
+    }
+
+    return { name, event_types: t.event_types ? t.event_types.map(String) : null, columns };
+  });
+
+  const names = new Set(tabs.map((t) => t.name));
+  if (names.size !== tabs.length) throw new Error("sheets mapping tab names must be unique");
+  return { header, tabs };
+}
+
+// A event_id, B payload, C received_at, D source, E user_id (no header handling)
+function legacySheetMapping(tab) {
+  return compileSheetMapping(
+    {
+      header: "off",
+      columns: [
+        { header: "event_id", path: "$.id" },
+        { header: "payload", path: "$.payload" },
+        { header: "received_at", path: "$.received_at" },
+        { header: "source", path: "$.source" },
+        { header: "user_id", path: "$.payload.user_id" },
+      ],
+    },
+    tab
+  );
+}
+
+// a bad SHEETS_MAPPING keeps the legacy layout (and says so in /sinks)
+function loadSheetsMapping() {
+  try {
+    let raw = SHEETS_MAPPING_JSON;
+    if (!raw && SHEETS_MAPPING_FILE) raw = fs.readFileSync(SHEETS_MAPPING_FILE, "utf8");
+    const parsed = raw ? JSON.parse(raw) : null;
+    if (parsed) compileSheetMapping(parsed, EVENTS_SHEET_NAME);
+
+    sheetsMappingRaw = parsed;
+    sheetsMappingLoadError = null;
+  } catch (e) {
+    sheetsMappingLoadError = String(e?.message || e);
+    sheetsMappingRaw = null;
+    logger.error("sheets.mapping_load_fail", { line: "SINK", error: sheetsMappingLoadError });
+  }
+}
+
+// Stage D queue items carry the body as received; Line 3 events are already normalized
+function sheetRowContext(it) {
+  if (it.payload_str !== undefined) {
+    let payload;
+    try {
+      payload = JSON.parse(it.payload_str);
+    } catch {
+      payload = it.payload_str;
+    }
+    return {
+      id: it.id,
+      received_at: it.received_at,
+      source: payload?.source,
+      event_type: payload?.event_type,
+      trace_id: payload?.trace_id,
+      payload,
+    };
+  }
+  return {
+    id: it.job_id,
+    received_at: it.received_at,
+    source: it.source,
+    event_type: it.event_type,
+    trace_id: it.trace_id,
+    payload: it.payload,
+  };
+}
+
+function sheetCell(ctx, col) {
+  let v = ctx;
+  for (const k of col.path) v = v === null || v === undefined ? undefined : v[k];
+  if (v === null || v === undefined) return col.default;
+  return typeof v === "object" ? JSON.stringify(v) : v;
+}
+
+function sheetColumnLetter(n) {
+  let s = "";
+  for (; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+function quoteSheetName(name) {
+  return `'${name.replace(/'/g, "''")}'`;
+}
+
+async function ensureSheetHeader(sheets, sheetId, tab, mode, checked) {
+  if (mode === "off" || checked.has(tab.name)) return;
+  const headers = tab.columns.map((c) => c.header);
+
+  const meta = await sheets.spreadsheets.get({
+    spreadsheetId: sheetId,
+    fields: "sheets.properties.title",
+  });
+  const exists = (meta.data.sheets || []).some((s) => s.properties?.title === tab.name);
+  if (!exists) {
+    if (mode !== "create") throw new Error(`sheet tab missing: ${tab.name}`);
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId: sheetId,
+      requestBody: { requests: [{ addSheet: { properties: { title: tab.name } } }] },
+    });
+    logger.info("sheets.tab_created", { line: "SINK", tab: tab.name });
+  }
+
+  const range = `${quoteSheetName(tab.name)}!1:1`;
+  let found = [];
+  if (exists) {
+    const r = await sheets.spreadsheets.values.get({ spreadsheetId: sheetId, range });
+    found = r.data.values?.[0] || [];
+  }
+
+  if (found.length === 0) {
+    if (mode !== "create") throw new Error(`sheet tab ${tab.name} has no header row`);
+    await sheets.spreadsheets.values.update({
+      spreadsheetId: sheetId,
+      range,
+      valueInputOption: "RAW",
+      requestBody: { values: [headers] },
+    });
+  } else if (headers.some((h, i) => String(found[i] ?? "") !== h)) {
+    // extra columns to the right are fine (formulas, notes); a shifted prefix is not
+    throw new Error(
+      `sheet tab ${tab.name} header mismatch: expected [${headers.join(", ")}], ` +
+        `found [${found.join(", ")}]`
+    );
+  }
+  checked.add(tab.name);
+}
+
 // -----------------------
 // Worker (best-effort external sync) - for /events queue only
 // -----------------------
 let workerTimer = null;
 let workerBusy = false;
 
+function eventsSink() {
+  return sinks.find((s) => s.pipelines.includes("events")) || null;
+}
+
 function externalReadyCheck() {
-  if (!SHEET_ID) return "SHEET_ID missing";
-  if (!EVENTS_SHEET_NAME) return "EVENTS_SHEET_NAME missing";
-  if (!SA_B64 && !SA_JSON_PLAIN) return "Service account JSON missing";
-  return null;
+  const sink = eventsSink();
+  if (!sink) return "no sink on the events pipeline";
+  return sink.impl.ready();
 }
 
-async function appendBatchToSheet(items) {
-  // Columns: A event_id, B payload, C received_at, D source, E user_id
-  const values = items.map((it) => [
-    it.id,
-    it.payload_str,
-    it.received_at,
-    "render",
-    "",
-  ]);
+async function appendBatchToSheet(
+  items,
+  { sheetId = SHEET_ID, mapping = legacySheetMapping(EVENTS_SHEET_NAME), headersChecked } = {}
+) {
+  const byTab = new Map();
+  let skipped = 0;
+  for (const it of items) {
+    const ctx = sheetRowContext(it);
+    const tab = mapping.tabs.find((t) => sinkRuleMatches(t.event_types, ctx.event_type));
+    if (!tab) {
+      skipped += 1;
+      continue;
+    }
+    if (!byTab.has(tab)) byTab.set(tab, { items: [], values: [] });
+    byTab.get(tab).items.push(it);
+    byTab.get(tab).values.push(tab.columns.map((c) => sheetCell(ctx, c)));
+  }
 
   const sheets = await getGoogleSheetsClient();
-  const range = `${EVENTS_SHEET_NAME}!A:E`;
-
-  return sheets.spreadsheets.values.append({
-    spreadsheetId: SHEET_ID,
-    range,
-    valueInputOption: "RAW",
-    insertDataOption: "INSERT_ROWS",
-    requestBody: { values },
-  });
+  const tabs = [];
+  const failedItems = [];
+  let status;
+  let error = null;
+  // tabs fail independently, so a retry never re-appends rows a tab already took
+  for (const [tab, { items: tabItems, values }] of byTab) {
+    try {
+      await ensureSheetHeader(sheets, sheetId, tab, mapping.header, headersChecked || new Set());
+      const res = await sheets.spreadsheets.values.append({
+        spreadsheetId: sheetId,
+        range: `${quoteSheetName(tab.name)}!A:${sheetColumnLetter(tab.columns.length)}`,
+        valueInputOption: "RAW",
+        insertDataOption: "INSERT_ROWS",
+        requestBody: { values },
+      });
+      status = res?.status;
+      tabs.push({ name: tab.name, rows: values.length, ok: true });
+    } catch (e) {
+      error = e?.response?.data ? JSON.stringify(e.response.data) : e?.message || String(e);
+      failedItems.push(...tabItems);
+      tabs.push({ name: tab.name, rows: values.length, ok: false, error });
+    }
+  }
+  return { status, tabs, skipped, failed_items: failedItems, error };
 }
 
 async function workerTickOnce() {
@@ -1182,15 +6697,22 @@ async function workerTickOnce() {
   if (workerBusy) {
     return { synced: 0, skipped: queue.length, reason: "worker_busy" };
   }
+  if (control.worker_paused) {
+    return { synced: 0, skipped: queue.length, reason: "worker_paused" };
+  }
 
   workerBusy = true;
+  let synced = 0;
+  let retryOnly = null; // ids still owed after a partial batch failure
 
   try {
+    await maintainDurableQueue();
+
     const now = Date.now();
 
     const candidates = [];
     for (const it of queue) {
-      if (candidates.length >= WORKER_BATCH_SIZE) break;
+      if (candidates.length >= settings.WORKER_BATCH_SIZE) break;
       if ((it.next_attempt_at || 0) <= now) candidates.push(it);
     }
 
@@ -1198,61 +6720,672 @@ async function workerTickOnce() {
       return { synced: 0, skipped: queue.length, reason: "no_due_items" };
     }
 
-    await appendBatchToSheet(candidates);
+    const sent = await sendToSink(eventsSink(), "sendBatch", candidates);
+    // a partial failure acks what got through; only data.failed_items go down the retry path
+    const failed = sent.ok ? [] : sent.data?.failed_items || candidates;
+    const failedIds = new Set(failed.map((c) => c.id));
+    const delivered = candidates.filter((c) => !failedIds.has(c.id));
 
-    const ids = new Set(candidates.map((c) => c.id));
+    const ids = new Set(delivered.map((c) => c.id));
     const before = queue.length;
     for (let i = queue.length - 1; i >= 0; i--) {
       if (ids.has(queue[i].id)) queue.splice(i, 1);
     }
-    const removed = before - queue.length;
-    queueSynced += removed;
+    synced = before - queue.length;
+    queueSynced += synced;
+
+    const journaled = delivered.filter((c) => !c.volatile);
+    if (QUEUE_DURABLE_ENABLED && journaled.length > 0) {
+      queueDiskDepth = Math.max(0, queueDiskDepth - journaled.length);
+      await appendQueueOps(journaled.map((c) => ({ op: "ack", id: c.id })));
+    }
+
+    if (!sent.ok) {
+      retryOnly = failedIds;
+      throw new Error(sent.error);
+    }
 
-    return { synced: removed, remaining: queue.length };
+    return { synced, remaining: queue.length };
   } catch (e) {
     const msg = e?.response?.data ? JSON.stringify(e.response.data) : e?.message || String(e);
-    console.error("[sync-error]", msg);
+    logger.error("queue.sync_fail", { line: "EVENTS", error: msg });
 
     const now = Date.now();
 
     let marked = 0;
-    for (const it of queue) {
-      if (marked >= WORKER_BATCH_SIZE) break;
+    let deadLettered = 0;
+    const ops = [];
+    for (const it of [...queue]) {
+      if (marked >= settings.WORKER_BATCH_SIZE) break;
       if ((it.next_attempt_at || 0) > now) continue;
+      if (retryOnly && !retryOnly.has(it.id)) continue;
 
       it.retry = (it.retry || 0) + 1;
       it.last_error = msg;
+      if (!it.first_failed_at) it.first_failed_at = new Date(now).toISOString();
 
-      if (it.retry > WORKER_MAX_RETRY) {
-        queueFailed += 1;
-        const idx = queue.findIndex((x) => x.id === it.id);
-        if (idx >= 0) queue.splice(idx, 1);
-      } else {
-        const backoff = WORKER_BACKOFF_BASE_MS * Math.pow(2, it.retry - 1);
-        it.next_attempt_at = now + backoff;
-      }
       marked += 1;
+
+      // dead letter first, so a crash in between leaves the item in the queue journal;
+      // if that write fails the item stays queued and keeps retrying with backoff
+      if (it.retry > settings.WORKER_MAX_RETRY) {
+        const dl = await writeDeadLetter({
+          origin: "events_queue",
+          error: msg,
+          attempts: it.retry,
+          first_failed_at: it.first_failed_at,
+          ref: { queue_id: it.id },
+          item: {
+            id: it.id,
+            hash: it.hash,
+            bytes: it.bytes,
+            received_at: it.received_at,
+            payload_str: it.payload_str,
+          },
+        });
+        if (dl.ok) {
+          queueFailed += 1;
+          if (!it.volatile) deadLettered += 1; // journaled ones only (queueDiskDepth)
+          const idx = queue.findIndex((x) => x.id === it.id);
+          if (idx >= 0) queue.splice(idx, 1);
+          ops.push({ op: "fail", id: it.id, error: msg });
+          continue;
+        }
+      }
+
+      const exp = Math.min(it.retry, settings.WORKER_MAX_RETRY + 1) - 1;
+      it.next_attempt_at = now + settings.WORKER_BACKOFF_BASE_MS * Math.pow(2, exp);
+      ops.push({
+        op: "upd",
+        id: it.id,
+        retry: it.retry,
+        last_error: it.last_error,
+        next_attempt_at: it.next_attempt_at,
+        first_failed_at: it.first_failed_at,
+      });
     }
 
-    return { synced: 0, remaining: queue.length, error: "sync_failed", detail: msg };
+    if (QUEUE_DURABLE_ENABLED) {
+      queueDiskDepth = Math.max(0, queueDiskDepth - deadLettered);
+      await appendQueueOps(ops);
+    }
+
+    return { synced, remaining: queue.length, error: "sync_failed", detail: msg };
   } finally {
     workerBusy = false;
   }
 }
 
 function startWorkerIfEnabled() {
-  if (!WORKER_ENABLED) {
-    console.log(`[worker] disabled (mode=${MODE_TAG}, EXTERNAL_SYNC=${EXTERNAL_SYNC})`);
+  if (!workerEnabled()) {
+    logger.info("worker.disabled", {
+      line: "EVENTS",
+      mode: MODE_TAG,
+      external_sync: settings.EXTERNAL_SYNC,
+    });
     return;
   }
-  console.log(`[worker] enabled interval=${WORKER_INTERVAL_MS}ms batch=${WORKER_BATCH_SIZE}`);
+  logger.info("worker.enabled", {
+    line: "EVENTS",
+    interval_ms: settings.WORKER_INTERVAL_MS,
+    batch_size: settings.WORKER_BATCH_SIZE,
+  });
   workerTimer = setInterval(() => {
     workerTickOnce().catch((e) => {
-      console.error("[worker-fatal]", e?.message || String(e));
+      logger.error("worker.fatal", { line: "EVENTS", error: e });
+    });
+  }, settings.WORKER_INTERVAL_MS);
+}
+
+// -----------------------
+// Runtime control (pause/resume/retune workers) + audit log
+// -----------------------
+/**
+ * Live overrides go through config.js applyOverrides (same validation as startup) and
+ * show up in GET /config with source "runtime". Overrides and pause flags are kept in
+ * CONTROL_STATE_FILE and reapplied on boot; every change appends one AUDIT_FILE record:
+ * { ts, action, actor: { key_id, ip }, trace_id, changes | detail }
+ */
+const CONTROL_TUNABLE = new Set([
+  "WORKER_INTERVAL_MS",
+  "WORKER_BATCH_SIZE",
+  "WORKER_MAX_RETRY",
+  "WORKER_BACKOFF_BASE_MS",
+  "REPLAY_INTERVAL_MS",
+  "REPLAY_BATCH_SIZE",
+  "REPLAY_MAX_BYTES_PER_TICK",
+  "REPLAY_MODE",
+  "REPLAY_MAX_ATTEMPTS",
+  "REPLAY_BACKOFF_BASE_MS",
+  "REPLAY_BACKOFF_MAX_MS",
+]);
+
+const control = { worker_paused: false, replay_paused: false, overrides: {} };
+let auditWriteChain = Promise.resolve();
+let auditLastError = null;
+
+function controlStatePath() {
+  return path.join(JSONL_DIR, CONTROL_STATE_FILE);
+}
+
+function auditPath() {
+  return path.join(JSONL_DIR, AUDIT_FILE);
+}
+
+function saveControlState() {
+  return writeStateFile(controlStatePath(), {
+    updated_at: safeNowIso(),
+    worker_paused: control.worker_paused,
+    replay_paused: control.replay_paused,
+    overrides: control.overrides,
+  });
+}
+
+async function loadControlState() {
+  const r = await readStateFile(controlStatePath());
+  if (!r.state) return;
+
+  control.worker_paused = Boolean(r.state.worker_paused);
+  control.replay_paused = Boolean(r.state.replay_paused);
+  const overrides = r.state.overrides || {};
+  try {
+    applyOverrides(config, overrides);
+    control.overrides = overrides;
+  } catch (e) {
+    // env/config changed underneath (e.g. a new cross-field rule): boot on the plain config
+    logger.error("control.restore_fail", { errors: e.errors || [String(e?.message || e)] });
+  }
+  logger.info("control.restored", {
+    worker_paused: control.worker_paused,
+    replay_paused: control.replay_paused,
+    overrides: control.overrides,
+  });
+}
+
+function writeAudit(req, action, fields) {
+  const rec = {
+    ts: safeNowIso(),
+    action,
+    actor: { key_id: req.auth?.key_id || null, ip: req.ip },
+    trace_id: req.traceId,
+    ...fields,
+  };
+  req.log.info("control.change", { action, ...fields });
+
+  auditWriteChain = auditWriteChain
+    .then(async () => {
+      await ensureDirExists(JSONL_DIR);
+      await fs.promises.appendFile(auditPath(), JSON.stringify(rec) + "\n", "utf8");
+      auditLastError = null;
+    })
+    .catch((err) => {
+      auditLastError = String(err?.message || err);
+      req.log.error("control.audit_fail", { action, error: auditLastError });
+    });
+  return auditWriteChain;
+}
+
+// a change is only live once CONTROL_STATE_FILE has it; a failed write puts this back
+function snapshotControl() {
+  return {
+    values: { ...config.values },
+    sources: { ...config.sources },
+    worker_paused: control.worker_paused,
+    replay_paused: control.replay_paused,
+    overrides: { ...control.overrides },
+    worker_interval_ms: settings.WORKER_INTERVAL_MS,
+    replay_interval_ms: settings.REPLAY_INTERVAL_MS,
+    worker_running: Boolean(workerTimer),
+    replay_running: Boolean(replayTimer),
+  };
+}
+
+function restoreControl(snap) {
+  Object.assign(config.values, snap.values);
+  Object.assign(config.sources, snap.sources);
+  control.worker_paused = snap.worker_paused;
+  control.replay_paused = snap.replay_paused;
+  control.overrides = snap.overrides;
+
+  const workerMoved = settings.WORKER_INTERVAL_MS !== snap.worker_interval_ms;
+  if (workerMoved || Boolean(workerTimer) !== snap.worker_running) restartWorkerTimer();
+  const replayMoved = settings.REPLAY_INTERVAL_MS !== snap.replay_interval_ms;
+  if (replayMoved || Boolean(replayTimer) !== snap.replay_running) restartReplayTimer();
+}
+
+function controlSaveFailed(req, res, action, err) {
+  req.log.error("control.save_fail", { action, error: err });
+  return res.status(500).json({
+    ok: false,
+    error: "STATE_WRITE_FAILED",
+    detail: `${CONTROL_STATE_FILE} could not be written; nothing was changed`,
+    mode: MODE_TAG,
+  });
+}
+
+function restartWorkerTimer() {
+  if (workerTimer) clearInterval(workerTimer);
+  workerTimer = null;
+  if (!shuttingDown) startWorkerIfEnabled();
+}
+
+function restartReplayTimer() {
+  if (replayTimer) clearInterval(replayTimer);
+  replayTimer = null;
+  if (!shuttingDown) startReplayWorkerIfEnabled();
+}
+
+function controlView() {
+  return {
+    worker: {
+      enabled: workerEnabled(),
+      paused: control.worker_paused,
+      running: Boolean(workerTimer),
+      busy: workerBusy,
+      interval_ms: settings.WORKER_INTERVAL_MS,
+      batch_size: settings.WORKER_BATCH_SIZE,
+      max_retry: settings.WORKER_MAX_RETRY,
+      backoff_base_ms: settings.WORKER_BACKOFF_BASE_MS,
+    },
+    replay: {
+      enabled: settings.REPLAY_ENABLED === "ON",
+      paused: control.replay_paused,
+      running: Boolean(replayTimer),
+      busy: replayBusy,
+      mode: settings.REPLAY_MODE,
+      interval_ms: settings.REPLAY_INTERVAL_MS,
+      batch_size: settings.REPLAY_BATCH_SIZE,
+      max_bytes_per_tick: settings.REPLAY_MAX_BYTES_PER_TICK,
+      max_attempts: settings.REPLAY_MAX_ATTEMPTS,
+      backoff_base_ms: settings.REPLAY_BACKOFF_BASE_MS,
+      backoff_max_ms: settings.REPLAY_BACKOFF_MAX_MS,
+    },
+    overrides: control.overrides,
+    tunable: [...CONTROL_TUNABLE],
+  };
+}
+
+// byte offset of the first record at or after tsMs; rotated segments last written
+// before tsMs are skipped without reading them
+async function findReplayOffsetByTime(segments, tsMs) {
+  for (const seg of segments) {
+    if (!seg.live) {
+      const st = await fs.promises.stat(seg.path).catch(() => null);
+      if (st && st.mtimeMs < tsMs) continue;
+    }
+
+    let offset = 0;
+    while (offset < seg.size) {
+      const r = await readJsonlFromOffset(seg.path, offset, settings.REPLAY_MAX_BYTES_PER_TICK);
+      let start = offset;
+      for (const { rec, end } of r.entries) {
+        const t = recordTimeMs(rec);
+        if (t !== null && t >= tsMs) return { seg, offset: start };
+        start = end;
+      }
+      if (r.newOffset <= offset) break; // partial last line
+      offset = r.newOffset;
+    }
+  }
+  const live = segments[segments.length - 1];
+  return { seg: live, offset: live.size };
+}
+
+/**
+ * Moves the replay cursor. target: { position: "start" | "end" } | { segment, offset? } | { ts }
+ * Also the way out of a corrupt replay state file: the new cursor replaces it.
+ */
+async function seekReplay(target) {
+  const segments = await listJsonlSegments();
+  if (segments.length === 0) return { ok: false, error: "NO_JSONL_FILE" };
+
+  let dest;
+  if (target.position === "start") {
+    dest = { seg: segments[0], offset: 0 };
+  } else if (target.position === "end") {
+    const live = segments[segments.length - 1];
+    dest = { seg: live, offset: live.size };
+  } else if (typeof target.segment === "string") {
+    const seg = segments.find((s) => s.name === target.segment);
+    if (!seg) return { ok: false, error: "SEGMENT_NOT_FOUND" };
+    const offset = Number(target.offset ?? 0);
+    if (!Number.isInteger(offset) || offset < 0 || offset > seg.size) {
+      return { ok: false, error: "BAD_OFFSET", detail: `0..${seg.size}` };
+    }
+    dest = { seg, offset };
+  } else if (target.ts !== undefined) {
+    const tsMs = Date.parse(String(target.ts));
+    if (!Number.isFinite(tsMs)) return { ok: false, error: "BAD_TS" };
+    dest = await findReplayOffsetByTime(segments, tsMs);
+  } else {
+    return { ok: false, error: "BAD_TARGET", detail: "position | segment | ts required" };
+  }
+
+  const prev = await loadReplayState();
+  const state = { ...prev, corrupt: undefined, last_error: null };
+  bindCursor(state, dest.seg, dest.offset);
+  const idx = segments.indexOf(dest.seg);
+  state.drained_through = idx > 0 ? segments[idx - 1].name : null;
+  await saveReplayState(state);
+
+  return {
+    ok: true,
+    from: prev.corrupt
+      ? { corrupt: prev.corrupt }
+      : { segment: prev.segment_name, offset: prev.offset },
+    to: { segment: dest.seg.name, offset: dest.offset },
+  };
+}
+
+app.get("/control", requireScope("ops:read"), (req, res) => {
+  return res.status(200).json({ ok: true, mode: MODE_TAG, ...controlView() });
+});
+
+// body: { "WORKER_BATCH_SIZE": 20, "REPLAY_MODE": "ALL", ... } (names from `tunable`)
+app.patch("/control", requireScope("ops:admin"), async (req, res) => {
+  const body = req.body && typeof req.body === "object" && !Array.isArray(req.body) ? req.body : {};
+  const names = Object.keys(body);
+  const rejected = names.filter((n) => !CONTROL_TUNABLE.has(n));
+  if (names.length === 0 || rejected.length > 0) {
+    return res.status(400).json({
+      ok: false,
+      error: "BAD_REQUEST",
+      detail: names.length ? `not tunable at runtime: ${rejected.join(", ")}` : "no settings given",
+      tunable: [...CONTROL_TUNABLE],
+      mode: MODE_TAG,
+    });
+  }
+
+  const snap = snapshotControl();
+  let changes;
+  try {
+    changes = applyOverrides(config, body);
+  } catch (e) {
+    return res.status(400).json({
+      ok: false,
+      error: "INVALID_SETTING",
+      errors: e.errors || [String(e?.message || e)],
+      mode: MODE_TAG,
     });
-  }, WORKER_INTERVAL_MS);
+  }
+
+  try {
+    for (const name of Object.keys(changes)) control.overrides[name] = changes[name].to;
+    if (changes.WORKER_INTERVAL_MS) restartWorkerTimer();
+    if (changes.REPLAY_INTERVAL_MS) restartReplayTimer();
+    await saveControlState();
+  } catch (e) {
+    restoreControl(snap);
+    return controlSaveFailed(req, res, "settings.update", e);
+  }
+  await writeAudit(req, "settings.update", { changes });
+
+  return res.status(200).json({ ok: true, changes, ...controlView() });
+});
+
+app.post(
+  "/control/:target(worker|replay)/:action(pause|resume)",
+  requireScope("ops:admin"),
+  async (req, res) => {
+    const { target, action } = req.params;
+    if (target === "worker" && OPS_MODE !== "FULL") {
+      return res.status(409).json({
+        ok: false,
+        error: "NOT_FULL_MODE",
+        detail: "the sync worker only exists with OPS_MODE=FULL",
+        mode: MODE_TAG,
+      });
+    }
+
+    const pausedKey = `${target}_paused`;
+    const detail = { paused_before: control[pausedKey] };
+    const snap = snapshotControl();
+    try {
+      control[pausedKey] = action === "pause";
+
+      if (action === "resume") {
+        // resume also switches on a worker that was disabled at boot
+        const enable = target === "worker" ? { EXTERNAL_SYNC: "ON" } : { REPLAY_ENABLED: "ON" };
+        const changes = applyOverrides(config, enable);
+        if (Object.keys(changes).length > 0) {
+          Object.assign(control.overrides, enable);
+          detail.changes = changes;
+        }
+        if (target === "worker" && !workerTimer) restartWorkerTimer();
+        if (target === "replay" && !replayTimer) restartReplayTimer();
+      }
+
+      await saveControlState();
+    } catch (e) {
+      restoreControl(snap);
+      return controlSaveFailed(req, res, `${target}.${action}`, e);
+    }
+    await writeAudit(req, `${target}.${action}`, { detail });
+    return res.status(200).json({ ok: true, ...controlView() });
+  }
+);
+
+// body: { "position": "start" | "end" } | { "segment": "<name>", "offset": 0 } | { "ts": "<ISO>" }
+app.post("/control/replay/seek", requireScope("ops:admin"), async (req, res) => {
+  // the running tick would save its own cursor over ours
+  const idle = await waitUntil(() => !replayBusy, Date.now() + 10000);
+  if (!idle) return res.status(409).json({ ok: false, error: "REPLAY_BUSY", mode: MODE_TAG });
+
+  replayBusy = true;
+  let r;
+  try {
+    r = await seekReplay(req.body || {});
+  } catch (e) {
+    req.log.error("control.seek_fail", { error: e });
+    r = null;
+  } finally {
+    replayBusy = false;
+  }
+  if (!r) {
+    return res.status(500).json({ ok: false, error: "SEEK_FAILED", mode: MODE_TAG });
+  }
+  if (!r.ok) return res.status(400).json({ ...r, mode: MODE_TAG });
+
+  await writeAudit(req, "replay.seek", { detail: { target: req.body, from: r.from, to: r.to } });
+  return res.status(200).json({ ...r, mode: MODE_TAG });
+});
+
+app.get("/control/audit", requireScope("ops:read"), async (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit || 100), 1), 1000);
+  await auditWriteChain;
+
+  let records = [];
+  try {
+    const st = await fs.promises.stat(auditPath());
+    const start = Math.max(0, st.size - JSONL_TAIL_MAX_BYTES);
+    const r = await readJsonlFromOffset(auditPath(), start, JSONL_TAIL_MAX_BYTES);
+    records = r.lines.slice(-limit).reverse();
+  } catch {
+    // nothing audited yet
+  }
+  return res
+    .status(200)
+    .json({ ok: true, count: records.length, records, last_error: auditLastError });
+});
+
+// -----------------------
+// Readiness + graceful shutdown
+// -----------------------
+/**
+ * SIGTERM/SIGINT: /ready turns 503 and new requests are refused, then
+ * 1) the listener closes and in-flight handlers finish
+ * 2) timers stop and running ticks (worker, replay, forwarder, log sinks) finish
+ * 3) one last worker flush, bounded by SHUTDOWN_FLUSH_MS
+ * 4) the in-memory /events queue is spilled to disk and every write chain is awaited
+ * Everything shares one SHUTDOWN_TIMEOUT_MS budget; past it the process exits anyway.
+ * Exit code is 0 only if all of that finished (handlers drained, ticks idle, queue spilled).
+ */
+let httpServer = null;
+let serverReady = false;
+let shuttingDown = false;
+let inflightRequests = 0;
+
+// liveness probes keep answering while draining
+const SHUTDOWN_EXEMPT_PATHS = new Set(["/", "/health", "/ready"]);
+
+function shutdownGateMiddleware(req, res, next) {
+  if (SHUTDOWN_EXEMPT_PATHS.has(req.path)) return next();
+  if (shuttingDown) {
+    res.set("Connection", "close");
+    res.set("Retry-After", "5");
+    return res.status(503).json({ ok: false, error: "SHUTTING_DOWN", mode: MODE_TAG });
+  }
+
+  inflightRequests += 1;
+  let done = false;
+  const release = () => {
+    if (done) return;
+    done = true;
+    inflightRequests -= 1;
+  };
+  res.on("finish", release);
+  res.on("close", release);
+  next();
+}
+
+app.get("/ready", (req, res) => {
+  const reason = shuttingDown ? "shutting_down" : !serverReady ? "starting" : null;
+  res.status(reason ? 503 : 200).json({
+    ok: !reason,
+    ready: !reason,
+    reason,
+    inflight: inflightRequests,
+    mode: MODE_TAG,
+  });
+});
+
+async function waitUntil(cond, deadline) {
+  while (!cond()) {
+    if (Date.now() >= deadline) return false;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  return true;
+}
+
+function anyTickBusy() {
+  if (workerBusy || replayBusy || forwarderBusy || retentionBusy) return true;
+  for (const rt of logSinkRuntime.values()) if (rt.busy) return true;
+  return false;
+}
+
+async function finalWorkerFlush(deadline) {
+  if (!workerEnabled()) return { synced: 0, reason: "worker_disabled" };
+
+  let synced = 0;
+  while (Date.now() < deadline) {
+    const tick = workerTickOnce();
+    const r = await Promise.race([
+      tick,
+      new Promise((resolve) => setTimeout(resolve, deadline - Date.now(), null)),
+    ]);
+    if (!r) return { synced, reason: "timeout" };
+    synced += r.synced || 0;
+    if (!r.synced) return { synced, reason: r.reason || r.error || "done" };
+  }
+  return { synced, reason: "timeout" };
+}
+
+// Durable queue: the journal already holds everything. Otherwise the queue goes to
+// QUEUE_SPILL_FILE (temp file + rename) and restoreQueueSpill() picks it up on boot.
+async function spillQueue() {
+  let durable = null;
+  if (QUEUE_DURABLE_ENABLED) {
+    const r = await compactQueueJournal();
+    durable = { ok: r.ok, durable: true, items: queueDiskDepth, error: r.error };
+  }
+  // durable mode: only the items enqueued while the worker was off are memory-only
+  const items = QUEUE_DURABLE_ENABLED ? volatileQueueItems() : queue;
+  if (items.length === 0) return durable || { ok: true, items: 0 };
+
+  const p = queueSpillPath();
+  try {
+    await ensureDirExists(JSONL_DIR);
+    await writeFileAtomic(p, items.map((item) => JSON.stringify(item) + "\n").join(""));
+    if (durable) return { ...durable, spilled: items.length, path: p };
+    return { ok: true, items: items.length, path: p };
+  } catch (e) {
+    const error = durable?.error || String(e?.message || e);
+    if (durable) return { ...durable, ok: false, spilled: items.length, error };
+    return { ok: false, items: items.length, error };
+  }
+}
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  const startedAt = Date.now();
+  const deadline = startedAt + SHUTDOWN_TIMEOUT_MS;
+  // last resort if a step hangs past the budget
+  setTimeout(() => {
+    logger.error("shutdown.timeout", { timeout_ms: SHUTDOWN_TIMEOUT_MS });
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS + 1000).unref();
+
+  logger.info("shutdown.start", { signal, inflight: inflightRequests, queue: queue.length });
+
+  if (httpServer) {
+    httpServer.close();
+    httpServer.closeIdleConnections?.();
+  }
+  const drained = await waitUntil(() => inflightRequests === 0, deadline);
+
+  for (const t of [
+    workerTimer,
+    replayTimer,
+    forwarderTimer,
+    retentionTimer,
+    logSinkTimer,
+    storeRetentionTimer,
+    rateLimitTimer,
+    jsonlFsyncTimer,
+  ]) {
+    if (t) clearInterval(t);
+  }
+  const idle = await waitUntil(() => !anyTickBusy(), deadline);
+
+  const flush = await finalWorkerFlush(Math.min(deadline, Date.now() + SHUTDOWN_FLUSH_MS));
+  // a flush cut off by the deadline may still be sending; wait so it can't race the spill
+  await waitUntil(() => !workerBusy, deadline);
+
+  const spill = await spillQueue();
+  await saveRateLimitState();
+  await Promise.all([
+    jsonlWriteChain,
+    deadLetterWriteChain,
+    idempotencyWriteChain,
+    dedupeWriteChain,
+    tgWriteChain,
+    timelineWriteChain,
+    queueWriteChain,
+    rateLimitWriteChain,
+  ]);
+  await syncJsonl();
+  if (storeDb) storeDb.close();
+
+  const clean = drained && idle && spill.ok;
+  logger[clean ? "info" : "warn"]("shutdown.done", {
+    signal,
+    ms: Date.now() - startedAt,
+    inflight_left: inflightRequests,
+    ticks_idle: idle,
+    flushed: flush.synced,
+    flush_stop: flush.reason,
+    spill,
+  });
+  // LOG_FILE: wait for the stream to finish so shutdown.done is on disk too
+  await Promise.race([logger.close(), new Promise((resolve) => setTimeout(resolve, 1000))]);
+  process.exit(clean ? 0 : 1);
 }
 
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
 // -----------------------
 // 404 + Global Error handler (always JSON)
 // -----------------------
@@ -1269,7 +7402,7 @@ app.use((err, req, res, next) => {
   const msg = err?.message || String(err);
   const status = err?.statusCode || err?.status || 400;
 
-  console.error("[global-error]", { status, msg, mode: MODE_TAG });
+  (req.log || logger).error("request.error", { status, error: msg, mode: MODE_TAG });
 
   res.status(status).json({
     ok: false,
@@ -1282,13 +7415,56 @@ app.use((err, req, res, next) => {
 // -----------------------
 // Listen
 // -----------------------
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(
-    `server listening on ${PORT} (mode=${MODE_TAG}, external=${WORKER_ENABLED ? "ON" : "OFF"}, store=${
-      STORE_ENABLED ? "ON" : "OFF"
-    })`
-  );
-  startWorkerIfEnabled();
-  startReplayWorkerIfEnabled();
+const PORT = settings.PORT;
+
+loadSchemaRegistry();
+loadSheetsMapping();
+loadSinks();
+openEventStore();
+loadApiKeys();
+loadHmacSecrets();
+loadRateLimitRules();
+if (AUTH_MODE === "ON" && apiKeys.length === 0) {
+  logger.warn("auth.no_keys", {
+    line: "AUTH",
+    detail: "AUTH_MODE=ON but no API keys are configured; protected routes will 401",
+  });
+}
+if (!TG_WEBHOOK_SECRET) {
+  logger.warn("tg.no_secret", {
+    line: "TG",
+    detail: "TG_WEBHOOK_SECRET is not set; /tg/webhook accepts updates from anyone",
+  });
+}
+
+// persisted state (durable queue, idempotency keys, forwarder lag) is restored before accepting traffic
+Promise.all([
+  initDurableQueue().then(restoreQueueSpill),
+  loadIdempotencyKeys(),
+  loadDedupeKeys(),
+  loadTgUpdates(),
+  loadRateLimitState(),
+  loadControlState(),
+  loadJobTimeline(),
+  initForwarder(),
+  initDeadLetters(),
+]).finally(() => {
+  httpServer = app.listen(PORT, () => {
+    logger.info("server.listening", {
+      port: Number(PORT),
+      mode: MODE_TAG,
+      external: workerEnabled() ? "ON" : "OFF",
+      store: STORE_ENABLED ? "ON" : "OFF",
+      durable_queue: QUEUE_DURABLE_ENABLED ? "ON" : "OFF",
+    });
+    startWorkerIfEnabled();
+    startReplayWorkerIfEnabled();
+    startForwarderIfEnabled();
+    startRetentionIfEnabled();
+    startLogSinksIfEnabled();
+    startStoreRetentionIfEnabled();
+    startRateLimitSaverIfEnabled();
+    startJsonlFsyncIfEnabled();
+    serverReady = !shuttingDown;
+  });
 });